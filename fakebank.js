@@ -0,0 +1,141 @@
+/**
+ * fakebank.js — stand-in for the bank API (/api/card/claim and /api/card/pay).
+ * Used by SIMULATE=1 and by the test suite; balances live in memory, so no real coins are touched.
+ *
+ * Env (all optional, read when no option is passed):
+ *   FAKEBANK_PORT             port to listen on (0 = random free port)
+ *   FAKEBANK_CLAIM_MIN/MAX    coins per claim, random between the two
+ *   FAKEBANK_COOLDOWN_MS      per-card cooldown after a claim (answers 429 COOLDOWN_ACTIVE)
+ *   FAKEBANK_NOT_FOUND_RATE   chance (0-1) that a claim answers 404 CARD_NOT_FOUND
+ *   FAKEBANK_RATE_LIMIT_RATE  chance of a bank-wide 429
+ *   FAKEBANK_ERROR_RATE       chance of a 500
+ *   FAKEBANK_TIMEOUT_RATE     chance that a request never gets an answer
+ *   FAKEBANK_RETRY_AFTER_SEC  Retry-After header sent with bank-wide 429s (0 = none)
+ */
+
+const http = require('http');
+
+function envDefaults() {
+  const num = (name, def) => Number(process.env[name] ?? def);
+  return {
+    port: num('FAKEBANK_PORT', 0),
+    claimMin: num('FAKEBANK_CLAIM_MIN', 0.5),
+    claimMax: num('FAKEBANK_CLAIM_MAX', 2),
+    cooldownMs: num('FAKEBANK_COOLDOWN_MS', 10 * 60 * 1000),
+    notFoundRate: num('FAKEBANK_NOT_FOUND_RATE', 0),
+    rateLimitRate: num('FAKEBANK_RATE_LIMIT_RATE', 0),
+    errorRate: num('FAKEBANK_ERROR_RATE', 0),
+    timeoutRate: num('FAKEBANK_TIMEOUT_RATE', 0),
+    retryAfterSec: num('FAKEBANK_RETRY_AFTER_SEC', 5),
+  };
+}
+
+/**
+ * options.cards forces an outcome for one card code on both endpoints:
+ * 'not_found' | 'rate_limit' | 'error' | 'timeout', or 'pay_error' to fail only transfers from it.
+ * It can be changed while the bank runs.
+ */
+function createFakeBank(options = {}) {
+  const opts = { ...envDefaults(), cards: {}, random: Math.random, ...options };
+  const state = {
+    balances: new Map(), // card code -> coins
+    lastClaim: new Map(), // card code -> ms
+    claims: [], // { cardCode, amount, ts }
+    transfers: [], // { fromCard, toCard, amount, ts }
+    requests: 0,
+  };
+  const held = new Set(); // responses left hanging to simulate timeouts
+
+  const send = (res, status, body, headers = {}) => {
+    res.writeHead(status, { 'content-type': 'application/json', ...headers });
+    res.end(JSON.stringify(body));
+  };
+  const chance = (rate) => rate > 0 && opts.random() < rate;
+
+  // forced or random failures shared by both endpoints; returns true when it answered
+  function injectFailure(res, cardCode, canBeMissing) {
+    const forced = opts.cards[cardCode] === 'pay_error' ? null : opts.cards[cardCode];
+    if (forced === 'timeout' || (!forced && chance(opts.timeoutRate))) {
+      held.add(res);
+      res.on('close', () => held.delete(res));
+      return true;
+    }
+    if (forced === 'rate_limit' || (!forced && chance(opts.rateLimitRate))) {
+      send(res, 429, { success: false, error: 'RATE_LIMITED' }, opts.retryAfterSec > 0 ? { 'retry-after': String(opts.retryAfterSec) } : {});
+      return true;
+    }
+    if (forced === 'error' || (!forced && chance(opts.errorRate))) {
+      send(res, 500, { success: false, error: 'INTERNAL_ERROR' });
+      return true;
+    }
+    if (canBeMissing && (forced === 'not_found' || (!forced && chance(opts.notFoundRate)))) {
+      send(res, 404, { success: false, error: 'CARD_NOT_FOUND' });
+      return true;
+    }
+    return false;
+  }
+
+  function handleClaim(res, { cardCode }) {
+    if (!cardCode) return send(res, 400, { success: false, error: 'MISSING_CARD' });
+    if (injectFailure(res, cardCode, true)) return;
+    const now = Date.now();
+    const remainingMs = (state.lastClaim.get(cardCode) || 0) + opts.cooldownMs - now;
+    if (state.lastClaim.has(cardCode) && remainingMs > 0) {
+      return send(res, 429, { success: false, error: 'COOLDOWN_ACTIVE', remainingMs });
+    }
+    const amount = Number((opts.claimMin + opts.random() * Math.max(0, opts.claimMax - opts.claimMin)).toFixed(8));
+    state.lastClaim.set(cardCode, now);
+    state.balances.set(cardCode, Number(((state.balances.get(cardCode) || 0) + amount).toFixed(8)));
+    state.claims.push({ cardCode, amount, ts: now });
+    send(res, 200, { success: true, claimed: String(amount) });
+  }
+
+  function handlePay(res, { fromCard, toCard, amount }) {
+    const value = Number(amount);
+    if (!fromCard || !toCard || !(value > 0)) return send(res, 400, { success: false, error: 'INVALID_TRANSFER' });
+    if (injectFailure(res, fromCard, false)) return;
+    if (opts.cards[fromCard] === 'pay_error') return send(res, 500, { success: false, error: 'INTERNAL_ERROR' });
+    const balance = state.balances.get(fromCard) || 0;
+    if (balance < value) return send(res, 400, { success: false, error: 'INSUFFICIENT_FUNDS' });
+    state.balances.set(fromCard, Number((balance - value).toFixed(8)));
+    state.balances.set(toCard, Number(((state.balances.get(toCard) || 0) + value).toFixed(8)));
+    state.transfers.push({ fromCard, toCard, amount: value, ts: Date.now() });
+    send(res, 200, { success: true });
+  }
+
+  const server = http.createServer((req, res) => {
+    let raw = '';
+    req.on('data', chunk => { raw += chunk; });
+    req.on('end', () => {
+      state.requests++;
+      let body = {};
+      try {
+        body = raw ? JSON.parse(raw) : {};
+      } catch (e) {
+        return send(res, 400, { success: false, error: 'INVALID_JSON' });
+      }
+      if (req.method === 'POST' && req.url === '/api/card/claim') return handleClaim(res, body);
+      if (req.method === 'POST' && req.url === '/api/card/pay') return handlePay(res, body);
+      send(res, 404, { success: false, error: 'NOT_FOUND' });
+    });
+  });
+
+  return {
+    options: opts,
+    state,
+    // resolves with the base URL to use as API_BASE
+    listen(port = opts.port) {
+      return new Promise((resolve, reject) => {
+        server.once('error', reject);
+        server.listen(port, '127.0.0.1', () => resolve(`http://127.0.0.1:${server.address().port}`));
+      });
+    },
+    close() {
+      for (const res of held) res.destroy();
+      held.clear();
+      return new Promise(resolve => server.close(() => resolve()));
+    },
+  };
+}
+
+module.exports = { createFakeBank };
@@ -0,0 +1,49 @@
+/**
+ * i18n.js — message catalogs (locales/*.json) and Discord command localizations.
+ * Keys are flat and dotted ("panel.title"); values may use {name} placeholders.
+ * en-US is the fallback for missing keys and for every Discord locale that has no catalog.
+ */
+
+const LOCALES = {
+  'en-US': require('./locales/en-US.json'),
+  'pt-BR': require('./locales/pt-BR.json'),
+};
+const FALLBACK_LOCALE = 'en-US';
+
+// Discord locale ("pt-BR", "en-GB", "es-ES"...) -> one of LOCALES; same language wins, else fallback
+function resolveLocale(locale, fallback = FALLBACK_LOCALE) {
+  if (locale && LOCALES[locale]) return locale;
+  const lang = String(locale || '').split('-')[0].toLowerCase();
+  const match = lang && Object.keys(LOCALES).find(l => l.split('-')[0] === lang);
+  return match || (fallback && LOCALES[fallback] ? fallback : FALLBACK_LOCALE);
+}
+
+function t(locale, key, vars = {}) {
+  const msg = LOCALES[resolveLocale(locale)][key] ?? LOCALES[FALLBACK_LOCALE][key] ?? key;
+  return msg.replace(/\{(\w+)\}/g, (m, name) => (vars[name] === undefined ? m : String(vars[name])));
+}
+
+// fills names, descriptions and choice names of a SlashCommandBuilder from the catalogs:
+// cmd.<command>[.<subcommand>][.<option>][.<choice value>] for descriptions and choices,
+// cmdname.<same path> for names. The base (en-US) names are the ones set in code, and the ones
+// interaction.commandName and interaction.options report whatever the user's language.
+function localizeCommand(builder) {
+  const others = Object.keys(LOCALES).filter(l => l !== FALLBACK_LOCALE);
+  const localized = (key) => Object.fromEntries(others.map(l => [l, t(l, key)]));
+  const apply = (b, path) => {
+    b.setNameLocalizations(localized(`cmdname.${path}`));
+    b.setDescription(t(FALLBACK_LOCALE, `cmd.${path}`));
+    b.setDescriptionLocalizations(localized(`cmd.${path}`));
+    for (const choice of b.choices || []) {
+      const key = `cmd.${path}.${choice.value}`;
+      if (!(key in LOCALES[FALLBACK_LOCALE])) continue;
+      choice.name = t(FALLBACK_LOCALE, key);
+      choice.name_localizations = localized(key);
+    }
+    for (const o of b.options || []) apply(o, `${path}.${o.name}`);
+  };
+  apply(builder, builder.name);
+  return builder;
+}
+
+module.exports = { LOCALES, FALLBACK_LOCALE, resolveLocale, t, localizeCommand };
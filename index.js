@@ -3,19 +3,31 @@
  * Atualizado: painel simplificado e resposta "Meus Cards" em embed ephemeral com last-claim legível.
  *
  * Dependências:
- *   npm i discord.js sqlite3 axios dotenv
+ *   npm i discord.js sqlite3 axios dotenv node-cron
  *
  * Respeita seu .env atual (DISCORD_TOKEN, CLIENT_ID, API_BASE, DB_PATH, CLAIM_INTERVAL_MS, TAX_PERCENT, RECEIVER_CARD, etc)
+ * TAX_PERCENT e RECEIVER_CARD são só o padrão: cada servidor pode sobrescrever com /config.
+ * CARD_ENCRYPTION_KEY é obrigatório: os códigos dos cards ficam criptografados no SQLite (migração automática).
+ * Todo o SQL fica em storage.js; o esquema é versionado em migrations.js (aplicado ao iniciar).
+ * Os textos ficam em locales/ (pt-BR e en-US, via i18n.js); DEFAULT_LOCALE é o idioma padrão do painel.
+ * METRICS_PORT liga um servidor HTTP local com /healthz e /metrics (Prometheus); LOG_LEVEL e LOG_FORMAT=json controlam os logs (logger.js).
+ * SIMULATE=1 usa um banco falso local (fakebank.js) em vez do API_BASE; DRY_RUN=1 faz claims reais mas só loga as taxas.
  */
 
 require('dotenv').config();
 const {
   Client, GatewayIntentBits, Partials, REST, Routes, SlashCommandBuilder, Events,
   ActionRowBuilder, ButtonBuilder, ButtonStyle, ModalBuilder, TextInputBuilder, TextInputStyle,
-  PermissionFlagsBits, EmbedBuilder
+  PermissionFlagsBits, EmbedBuilder, AttachmentBuilder
 } = require('discord.js');
-const sqlite3 = require('sqlite3').verbose();
 const axios = require('axios');
+const cron = require('node-cron');
+const crypto = require('crypto');
+const http = require('http');
+const { createStorage, NOTIFY_KEYS } = require('./storage');
+const { t, resolveLocale, localizeCommand } = require('./i18n');
+const { log } = require('./logger');
+const { createMetrics } = require('./metrics');
 
 ///// Configs /////
 const DISCORD_TOKEN = process.env.DISCORD_TOKEN || '';
@@ -23,16 +35,50 @@ const CLIENT_ID = process.env.CLIENT_ID || '1447414138254004236';
 const API_BASE_RAW = process.env.API_BASE || 'https://bank.foxsrv.net/';
 const DB_PATH = process.env.DB_PATH || './cards.db';
 const CLAIM_INTERVAL_MS = Number(process.env.CLAIM_INTERVAL_MS || 10 * 60 * 1000); // 10 min
-const CLAIM_QUEUE_DELAY_MS = Number(process.env.CLAIM_QUEUE_DELAY_MS || 200);
-const TAX_PERCENT = Number(process.env.TAX_PERCENT ?? 0.10); // 0.10 = 10%
-const RECEIVER_CARD = process.env.RECEIVER_CARD || '';
+const CLAIM_QUEUE_DELAY_MS = Number(process.env.CLAIM_QUEUE_DELAY_MS || 200); // legacy; sets the default API_RATE_PER_SEC
+const CLAIM_CONCURRENCY = Math.max(1, Number(process.env.CLAIM_CONCURRENCY || 4)); // cards claimed in parallel
+const API_RATE_PER_SEC = Number(process.env.API_RATE_PER_SEC || (CLAIM_QUEUE_DELAY_MS > 0 ? 1000 / CLAIM_QUEUE_DELAY_MS : 0)); // bank API requests/s shared by every worker; 0 = unlimited
+const API_RATE_BURST = Math.max(1, Number(process.env.API_RATE_BURST || CLAIM_CONCURRENCY));
+const API_RATE_LIMIT_BACKOFF_MS = Number(process.env.API_RATE_LIMIT_BACKOFF_MS || 30 * 1000); // global pause on a 429 without Retry-After
+const CLAIM_TICK_MS = Number(process.env.CLAIM_TICK_MS || 15 * 1000); // how often due cards are checked
+const CLAIM_RETRY_DELAY_MS = Number(process.env.CLAIM_RETRY_DELAY_MS || 60 * 1000); // first wait after a failed claim, doubled per failure
+const CLAIM_BACKOFF_MAX_MS = Number(process.env.CLAIM_BACKOFF_MAX_MS || 6 * 60 * 60 * 1000); // backoff cap (6h)
+const SUSPEND_AFTER_FAILURES = Number(process.env.SUSPEND_AFTER_FAILURES || 10); // network/5xx failures before suspending; 0 = never
+const SUSPEND_AFTER_CLIENT_ERRORS = Number(process.env.SUSPEND_AFTER_CLIENT_ERRORS || 3); // 4xx failures before suspending; 0 = never
+const TAX_PERCENT = Number(process.env.TAX_PERCENT ?? 0.10); // 0.10 = 10% — default when a guild has no /config tax
+const RECEIVER_CARD = process.env.RECEIVER_CARD || ''; // default when a guild has no /config receiver
+const TAX_DEBT_LIMIT = Number(process.env.TAX_DEBT_LIMIT || 0); // default for the tax_debt_limit setting; 0 = never pause
+const TAX_DEFER_MAX_CLAIMS = Number(process.env.TAX_DEFER_MAX_CLAIMS ?? 5); // claims per card whose tax may wait for the owner's roles; 0 = never defer
+const CARD_ENCRYPTION_KEY = process.env.CARD_ENCRYPTION_KEY || '';
+const LINK_CHALLENGE_MAX_ATTEMPTS = Number(process.env.LINK_CHALLENGE_MAX_ATTEMPTS || 3);
+const LINK_REQUEST_MAX_PER_WINDOW = Number(process.env.LINK_REQUEST_MAX_PER_WINDOW || 3); // link requests per card and requester per window; 0 = unlimited
+const LINK_REQUEST_WINDOW_MS = Number(process.env.LINK_REQUEST_WINDOW_MS || 24 * 60 * 60 * 1000);
+const LINK_REQUEST_COOLDOWN_MS = Number(process.env.LINK_REQUEST_COOLDOWN_MS || 24 * 60 * 60 * 1000); // wait after a rejected request for the same card; 0 = none
+const NOTIFY_FAILURE_THRESHOLD = Number(process.env.NOTIFY_FAILURE_THRESHOLD || 3); // consecutive failures before alerting
+const DIGEST_INTERVAL_MS = Number(process.env.DIGEST_INTERVAL_MS ?? 24 * 60 * 60 * 1000); // earnings digest DM period; 0 = never
+const SHUTDOWN_TIMEOUT_MS = Number(process.env.SHUTDOWN_TIMEOUT_MS || 30 * 1000); // max wait for in-flight claims on SIGINT/SIGTERM
+const API_TIMEOUT_MS = Number(process.env.API_TIMEOUT_MS || 30 * 1000);
+const SIMULATE = /^(1|true|yes)$/i.test(process.env.SIMULATE || ''); // talk to the in-process fake bank instead of API_BASE
+const DRY_RUN = /^(1|true|yes)$/i.test(process.env.DRY_RUN || ''); // claim for real, but only log tax/debt/sweep transfers
+const CARD_CODE_PATTERN = new RegExp(process.env.CARD_CODE_PATTERN || '^[0-9a-fA-F]{12}$'); // format checked by /importcards
+const IMPORT_MAX_CARDS = Number(process.env.IMPORT_MAX_CARDS || 200); // lines accepted per /importcards
+const IMPORT_MAX_BYTES = 256 * 1024; // attachment size cap for /importcards
+const PANEL_REFRESH_DEBOUNCE_MS = Number(process.env.PANEL_REFRESH_DEBOUNCE_MS || 5 * 1000); // panel edits are batched per window
+const SCHEDULE_TIMEZONE = process.env.SCHEDULE_TIMEZONE || Intl.DateTimeFormat().resolvedOptions().timeZone; // default for /schedule
+const DEFAULT_LOCALE = resolveLocale(process.env.DEFAULT_LOCALE || 'pt-BR'); // panel and alerts of guilds without /config locale
+const METRICS_PORT = Number(process.env.METRICS_PORT || 0); // local HTTP server with /healthz and /metrics; 0 = off
+const METRICS_HOST = process.env.METRICS_HOST || '127.0.0.1';
 
 if (!DISCORD_TOKEN) {
-  console.error('DISCORD_TOKEN is required in .env');
+  log.error('DISCORD_TOKEN is required in .env');
+  process.exit(1);
+}
+if (!CARD_ENCRYPTION_KEY) {
+  log.error('CARD_ENCRYPTION_KEY is required in .env (card codes are stored encrypted)');
   process.exit(1);
 }
 if (!RECEIVER_CARD) {
-  console.warn('RECEIVER_CARD not set in .env — taxas não serão enviadas até configurar RECEIVER_CARD.');
+  log.warn('RECEIVER_CARD not set in .env — taxas só serão enviadas em servidores com receiver configurado via /config.');
 }
 
 ///// Helpers /////
@@ -43,35 +89,100 @@ function normalizeApiBase(raw) {
   return base;
 }
 const API_BASE = normalizeApiBase(API_BASE_RAW);
-const api = axios.create({ baseURL: API_BASE, timeout: 30_000 });
+const api = axios.create({ baseURL: API_BASE, timeout: API_TIMEOUT_MS });
+
+// SIMULATE: start the fake bank (fakebank.js) and point the API client at it before the first pass
+let bankReady = Promise.resolve();
+if (SIMULATE) {
+  const { createFakeBank } = require('./fakebank');
+  bankReady = createFakeBank().listen().then(url => {
+    api.defaults.baseURL = normalizeApiBase(url);
+    log.info(`[simulate] fake bank listening on ${url} — no real coins are touched`);
+  });
+}
+if (DRY_RUN) log.warn('[dry-run] DRY_RUN is on: claims are real, tax/debt/sweep transfers are only logged');
 
 function extractAxiosError(e) {
   const status = e.response?.status;
   const data = e.response?.data;
   const msg = e.message || (data && (data.error || data.message)) || JSON.stringify(data) || 'Unknown error';
-  return { status, msg, data };
+  const retryAfterSec = Number(e.response?.headers?.['retry-after']);
+  const retryAfterMs = retryAfterSec > 0 ? retryAfterSec * 1000 : null;
+  return { status, msg, data, retryAfterMs };
+}
+
+const sleep = (ms) => new Promise(r => setTimeout(r, ms));
+
+///// Bank API rate limiter /////
+// one token bucket shared by every call to the bank (claims, taxes, sweeps). A 429 that is not a
+// card cooldown (COOLDOWN_ACTIVE) pauses the whole bucket until the bank's Retry-After has passed.
+const apiLimiter = { tokens: API_RATE_BURST, updatedAt: Date.now(), blockedUntil: 0, throttled: 0 };
+
+async function acquireApiToken() {
+  for (;;) {
+    const now = Date.now();
+    if (apiLimiter.blockedUntil > now) {
+      await sleep(apiLimiter.blockedUntil - now);
+      continue;
+    }
+    if (!(API_RATE_PER_SEC > 0)) return;
+    apiLimiter.tokens = Math.min(API_RATE_BURST, apiLimiter.tokens + (now - apiLimiter.updatedAt) / 1000 * API_RATE_PER_SEC);
+    apiLimiter.updatedAt = now;
+    if (apiLimiter.tokens >= 1) {
+      apiLimiter.tokens -= 1;
+      return;
+    }
+    await sleep(Math.ceil((1 - apiLimiter.tokens) / API_RATE_PER_SEC * 1000));
+  }
+}
+
+function throttleBankApi(ms) {
+  const until = Date.now() + ms;
+  if (until <= apiLimiter.blockedUntil) return;
+  apiLimiter.blockedUntil = until;
+  apiLimiter.tokens = 0;
+  apiLimiter.throttled++;
+  log.warn(`[api] bank rate limit hit — pausing all requests for ${msToHuman(ms)}`);
+}
+
+// a 429 carrying COOLDOWN_ACTIVE is that card's own cooldown; any other 429 is the bank limiting us
+function isBankRateLimit(err) {
+  return err.status === 429 && err.data?.error !== 'COOLDOWN_ACTIVE';
 }
 
 async function apiCardClaim(cardCode) {
+  await acquireApiToken();
   try {
     const res = await api.post('/card/claim', { cardCode });
     return res.data;
   } catch (e) {
     const err = extractAxiosError(e);
-    return { success: false, error: err.msg || 'request_failed', status: err.status, data: err.data };
+    if (isBankRateLimit(err)) throttleBankApi(err.retryAfterMs || API_RATE_LIMIT_BACKOFF_MS);
+    return { success: false, error: err.msg || 'request_failed', status: err.status, data: err.data, retryAfterMs: err.retryAfterMs };
   }
 }
 async function apiTransferBetweenCards(fromCard, toCard, amountCoins) {
+  await acquireApiToken();
   try {
     const truncated = Math.floor(Number(amountCoins) * 1e8) / 1e8;
     const res = await api.post('/card/pay', { fromCard, toCard, amount: truncated });
     return res.data;
   } catch (e) {
     const err = extractAxiosError(e);
+    if (isBankRateLimit(err)) throttleBankApi(err.retryAfterMs || API_RATE_LIMIT_BACKOFF_MS);
     return { success: false, error: err.msg || 'request_failed', status: err.status, data: err.data };
   }
 }
 
+// CSV with a fixed column order; values with commas, quotes or newlines are quoted
+function toCsv(rows, columns) {
+  const esc = (v) => {
+    const str = v === null || v === undefined ? '' : String(v);
+    return /[",\r\n]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+  };
+  return [columns.join(','), ...rows.map(r => columns.map(c => esc(r[c])).join(','))].join('\r\n');
+}
+
 function msToHuman(ms) {
   if (!ms || ms <= 0) return '0m 0s';
   const s = Math.max(0, Math.floor(ms / 1000));
@@ -80,168 +191,928 @@ function msToHuman(ms) {
   return `${m}m ${sec}s`;
 }
 
-// format last claim timestamp (seconds) into "Xh Ym Zs atrás"
-function formatLastClaimAgo(lastClaimTsSeconds) {
-  if (!lastClaimTsSeconds || Number(lastClaimTsSeconds) <= 0) return 'never';
+// format last claim timestamp (seconds) into "Xh Ym Zs ago" / "Xh Ym Zs atrás"
+function formatLastClaimAgo(lastClaimTsSeconds, locale) {
+  if (!lastClaimTsSeconds || Number(lastClaimTsSeconds) <= 0) return t(locale, 'common.never');
   const nowSec = Math.floor(Date.now() / 1000);
   let diff = Math.max(0, nowSec - Number(lastClaimTsSeconds));
   const h = Math.floor(diff / 3600);
   diff -= h * 3600;
   const m = Math.floor(diff / 60);
   const s = diff - m * 60;
-  return `${h}h ${m}m ${s}s atrás`;
+  return t(locale, 'common.ago', { h, m, s });
 }
 
-///// Database /////
-const db = new sqlite3.Database(DB_PATH);
-function runSql(sql, params = []) {
-  return new Promise((resolve, reject) => db.run(sql, params, function (err) { if (err) reject(err); else resolve(this); }));
+///// Card code protection /////
+// card codes are bearer credentials for /card/claim and /card/pay. In SQLite they are kept
+// AES-256-GCM encrypted (card_enc) and looked up by an HMAC of the code (card_id); users and
+// logs only ever see the short alias and a masked code.
+const CARD_ENC_KEY = crypto.hkdfSync('sha256', CARD_ENCRYPTION_KEY, 'autoclaim-cards', 'card-enc', 32);
+const CARD_ID_KEY = crypto.hkdfSync('sha256', CARD_ENCRYPTION_KEY, 'autoclaim-cards', 'card-id', 32);
+
+function cardIdFor(code) {
+  return crypto.createHmac('sha256', Buffer.from(CARD_ID_KEY)).update(String(code)).digest('hex');
+}
+function encryptCardCode(code) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', Buffer.from(CARD_ENC_KEY), iv);
+  const ct = Buffer.concat([cipher.update(String(code), 'utf8'), cipher.final()]);
+  return `v1:${iv.toString('base64')}:${cipher.getAuthTag().toString('base64')}:${ct.toString('base64')}`;
 }
-function getSql(sql, params = []) {
-  return new Promise((resolve, reject) => db.get(sql, params, (err, row) => err ? reject(err) : resolve(row)));
+function decryptCardCode(enc) {
+  const [v, iv, tag, ct] = String(enc || '').split(':');
+  if (v !== 'v1') throw new Error('unsupported card encryption format');
+  const decipher = crypto.createDecipheriv('aes-256-gcm', Buffer.from(CARD_ENC_KEY), Buffer.from(iv, 'base64'));
+  decipher.setAuthTag(Buffer.from(tag, 'base64'));
+  return Buffer.concat([decipher.update(Buffer.from(ct, 'base64')), decipher.final()]).toString('utf8');
 }
-function allSql(sql, params = []) {
-  return new Promise((resolve, reject) => db.all(sql, params, (err, rows) => err ? reject(err) : resolve(rows)));
+// 1f6c293c3951 -> 1f6c…3951
+function maskCardCode(code) {
+  const c = String(code || '');
+  if (c.length <= 8) return c.length > 2 ? `${c.slice(0, 2)}…` : '…';
+  return `${c.slice(0, 4)}…${c.slice(-4)}`;
+}
+// "ALIAS (1f6c…3951)" for logs and embeds
+function cardLabel(row) {
+  try {
+    return `${row.alias} (${maskCardCode(decryptCardCode(row.card_enc))})`;
+  } catch (_) {
+    return String(row.alias || row.card_id?.slice(0, 6) || '?');
+  }
 }
 
-async function initDb() {
-  await runSql(`CREATE TABLE IF NOT EXISTS cards (
-    card_code TEXT PRIMARY KEY,
-    user_id TEXT,
-    last_claim_ts INTEGER DEFAULT 0,
-    claim_retry INTEGER DEFAULT 0
-  )`);
-  await runSql(`CREATE TABLE IF NOT EXISTS settings (
-    key TEXT PRIMARY KEY,
-    value TEXT
-  )`);
+// coins are handled with 8 decimals; drop trailing zeros for display
+function formatCoins(n) {
+  const v = Number(n || 0);
+  if (!isFinite(v)) return '0';
+  return v.toFixed(8).replace(/\.?0+$/, '') || '0';
 }
-initDb().catch(e => { console.error('DB init error', e); process.exit(1); });
+
+///// Database /////
+// every query lives in storage.js and the schema in migrations.js; DB_PATH=:memory: gives a throwaway database
+const storage = createStorage({ path: DB_PATH, cardIdFor, encryptCardCode, claimIntervalMs: CLAIM_INTERVAL_MS });
+const {
+  ping: pingDb,
+  getCardById, findCardByRef, addOrUpdateCard, reassignCard, removeCard, searchGuildCards,
+  listUserCards, listAllCards, listGuildCards, countGuildCards, listDueCards, countDueCards, getGuildNextDueTs, getNextDueTs,
+  setNextClaim, setNextClaimForAll, rescheduleGuildCards, incClaimRetry, suspendCard, setCardStatus, reactivateCard, deleteCardFromDb,
+  setSweepPending, setTaxDebt, saveSetting, getSetting, deleteSetting, saveGuildSetting, getGuildSetting, deleteGuildSetting,
+  deleteGuildSettings, listGuildsWithSetting, listGuildSettings,
+  addTaxRule, listTaxRules, removeTaxRule,
+  createLinkRequest, getLinkRequest, listPendingLinkRequests, countPendingLinkRequests, setLinkChallenge, clearLinkChallenge, incLinkChallengeAttempts, resolveLinkRequest, closeLinkRequestsForCard,
+  logClaim, listUserClaims, countUserClaims, sumUserNet, getGuildLeaderboard, listUserEarnings, listCardClaims, listGuildClaims,
+  logAudit, listAuditLog, countAuditLog,
+  clearTaxDebt, listTaxDebtPayments, recordTaxDebtPayment, listDeferredClaims, countDeferredClaims, settleDeferredClaim, getTaxReport,
+  openJournal, updateJournal, commitClaim, getJournal, listOpenJournal, pruneJournal,
+  getNotifyPrefs, setNotifyPref, getUserLocale: loadUserLocale, saveUserLocale,
+  getSweepSettings, saveSweepSettings, deleteSweepSettings, logSweep, listUserSweeps,
+} = storage;
+const dbReady = storage.ready.catch(e => { log.error('DB init error', e); process.exit(1); });
 
 ///// Card functions /////
-async function addOrUpdateCard(cardCode, userId) {
-  const existing = await getSql(`SELECT * FROM cards WHERE card_code=?`, [cardCode]);
-  if (existing) {
-    await runSql(`UPDATE cards SET user_id=? WHERE card_code=?`, [userId, cardCode]);
-    return { updated: true };
+// one card code per line; CSV/TSV lines use the first cell that looks like a code.
+// Blank lines, '#' comments and a header row are skipped. Returns [{ line, code }].
+function parseCardImport(text) {
+  const entries = [];
+  String(text || '').split(/\r?\n/).forEach((raw, i) => {
+    const line = raw.trim();
+    if (!line || line.startsWith('#')) return;
+    const cells = line.split(/[,;\t]/).map(v => v.trim().replace(/^"(.*)"$/, '$1')).filter(Boolean);
+    const code = cells.find(v => CARD_CODE_PATTERN.test(v));
+    if (!code && i === 0 && cells.some(v => /^(card|code|card_code|alias)$/i.test(v))) return;
+    entries.push({ line: i + 1, code: code || cells[0] || line });
+  });
+  return entries;
+}
+// links every parsed code to userId, never touching cards owned by someone else.
+// result per entry: 'created' | 'claimed' (registered without an owner) | 'already_yours' | 'owned_by_other' | 'invalid' | 'duplicate'
+async function importCards(entries, userId, guildId = null) {
+  const seen = new Set();
+  const results = [];
+  for (const { line, code } of entries) {
+    if (!CARD_CODE_PATTERN.test(code)) {
+      results.push({ line, code, result: 'invalid' });
+      continue;
+    }
+    const cardId = cardIdFor(code);
+    if (seen.has(cardId)) {
+      results.push({ line, code, result: 'duplicate' });
+      continue;
+    }
+    seen.add(cardId);
+    const existing = await getCardById(cardId);
+    if (existing?.user_id === userId) {
+      results.push({ line, code, result: 'already_yours', card: existing });
+      continue;
+    }
+    const res = await addOrUpdateCard(code, userId, guildId);
+    results.push({ line, code, result: res.conflict ? 'owned_by_other' : res.created ? 'created' : 'claimed', card: res.card });
+  }
+  return results;
+}
+
+///// Guild settings /////
+// { taxPercent, receiverCard } for a card's guild. The receiver card is a credential too, so it is stored encrypted.
+async function getGuildTaxConfig(guildId) {
+  const pct = await getGuildSetting(guildId, 'tax_percent');
+  const receiverEnc = await getGuildSetting(guildId, 'receiver_card');
+  let receiverCard = RECEIVER_CARD;
+  if (receiverEnc) {
+    try {
+      receiverCard = decryptCardCode(receiverEnc);
+    } catch (e) {
+      log.warn(`[config] could not decrypt receiver card for guild ${guildId}`, e?.message || e);
+    }
+  }
+  return { taxPercent: pct === null ? TAX_PERCENT : Number(pct) || 0, receiverCard };
+}
+
+///// Locale /////
+// the shared panel and guild alerts use the guild's /config locale; replies use interaction.locale,
+// and DMs the last locale the user interacted with.
+async function getGuildLocale(guildId) {
+  const v = guildId ? await getGuildSetting(guildId, 'locale') : null;
+  return resolveLocale(v, DEFAULT_LOCALE);
+}
+
+const userLocales = new Map(); // userId -> locale, mirrors notify_prefs.locale
+async function rememberUserLocale(userId, locale) {
+  const loc = resolveLocale(locale);
+  if (userLocales.get(userId) === loc) return;
+  userLocales.set(userId, loc);
+  try {
+    await saveUserLocale(userId, loc);
+  } catch (e) {
+    log.warn(`[i18n] could not save locale of ${userId}`, e?.message || e);
+  }
+}
+async function getUserLocale(userId) {
+  if (!userLocales.has(userId)) userLocales.set(userId, resolveLocale(await loadUserLocale(userId), DEFAULT_LOCALE));
+  return userLocales.get(userId);
+}
+
+///// Tax rules /////
+// per guild, checked in this order for the card owner:
+//   exempt  — owner has the role: no tax
+//   role    — owner has the role: flat rate (lowest matching role wins)
+//   bracket — progressive rate by slice of the claimed amount (up_to NULL = everything above)
+// with no matching rule the guild's flat tax_percent applies. When Discord fails to answer for the
+// owner's roles the tax is deferred rather than charged at a rate that may not apply to them (see
+// settleDeferredTax), up to TAX_DEFER_MAX_CLAIMS claims per card; past that the role rules are skipped.
+
+// role ids of the member; [] when they are not in the guild (Unknown Member) or Discord refuses the
+// request, null only when the failure may pass (5xx, timeouts, network errors)
+async function getMemberRoleIds(guildId, userId) {
+  try {
+    const guild = client.guilds.cache.get(guildId) || await client.guilds.fetch(guildId);
+    const member = await guild.members.fetch(userId);
+    return [...member.roles.cache.keys()];
+  } catch (e) {
+    const status = Number(e?.status) || 0;
+    if (!status || status >= 500) {
+      log.warn(`[tax] could not fetch roles of ${userId} in guild ${guildId}; role-based tax may be deferred`, e?.message || e);
+      return null;
+    }
+    if (e?.code === 10007) log.debug(`[tax] ${userId} is not a member of guild ${guildId}; no role rules apply`);
+    else log.warn(`[tax] roles of ${userId} in guild ${guildId} unavailable (${status}); taxing without role rules`, e?.message || e);
+    return [];
+  }
+}
+
+function progressiveTax(amount, brackets) {
+  let tax = 0;
+  let lower = 0;
+  for (const b of brackets) {
+    const upper = b.up_to === null || b.up_to === undefined ? Infinity : Number(b.up_to);
+    if (amount <= lower) break;
+    tax += (Math.min(amount, upper) - lower) * Number(b.rate);
+    lower = upper;
+  }
+  return tax;
+}
+
+function formatRate(rate) {
+  return `${Number((Number(rate) * 100).toFixed(4))}%`;
+}
+
+// bracket or flat tax, the part of the rules that does not depend on the owner's roles
+function baseTax(rules, taxPercent, amount) {
+  const brackets = rules.filter(r => r.kind === 'bracket');
+  if (brackets.length) return { tax: progressiveTax(amount, brackets), rule: 'brackets' };
+  return { tax: taxPercent > 0 ? amount * taxPercent : 0, rule: `flat@${formatRate(taxPercent)}` };
+}
+
+// → { tax, rule } where rule is a short label stored with the claim (e.g. "role:123@5%");
+// { tax: 0, deferred: true, estimate } when role rules exist, the owner's roles are unavailable for now
+// and canDefer is set (estimate = the tax without role rules); without canDefer the role rules are skipped
+async function resolveTax(card, amount, { canDefer = true } = {}) {
+  const { taxPercent } = await getGuildTaxConfig(card.guild_id);
+  const rules = card.guild_id ? await listTaxRules(card.guild_id) : [];
+  const roleRules = rules.filter(r => r.kind === 'exempt' || r.kind === 'role');
+  const roleIds = roleRules.length ? await getMemberRoleIds(card.guild_id, card.user_id) : [];
+  if (!roleIds && canDefer) {
+    return { tax: 0, rule: 'deferred:roles_unavailable', deferred: true, estimate: baseTax(rules, taxPercent, amount).tax };
+  }
+  if (!roleIds) log.warn(`[tax] card ${cardLabel(card)} reached TAX_DEFER_MAX_CLAIMS; taxing without role rules`);
+  if (roleIds?.length) {
+    const roles = new Set(roleIds);
+    const exempt = roleRules.find(r => r.kind === 'exempt' && roles.has(r.role_id));
+    if (exempt) return { tax: 0, rule: `exempt:${exempt.role_id}` };
+    const matched = roleRules.filter(r => r.kind === 'role' && roles.has(r.role_id)).sort((a, b) => a.rate - b.rate)[0];
+    if (matched) return { tax: amount * matched.rate, rule: `role:${matched.role_id}@${formatRate(matched.rate)}` };
+  }
+  return baseTax(rules, taxPercent, amount);
+}
+
+///// Tax debt /////
+// tax that could not be sent at claim time (transfer failed or no receiver) is kept per card
+// and retried before the card's next claim.
+async function getTaxDebtLimit(guildId) {
+  const v = (await getGuildSetting(guildId, 'tax_debt_limit')) ?? (await getSetting('tax_debt_limit'));
+  return v === null ? TAX_DEBT_LIMIT : Number(v) || 0;
+}
+
+// taxes the claims that were deferred, once the owner's roles can be read. Each claim is taxed on its
+// own amount (brackets apply per claim, as they would have at claim time) and the tax joins the card's
+// debt so settleTaxDebt collects it. Returns the card row, refreshed when something changed.
+async function settleDeferredTax(c) {
+  if (!(Number(c.tax_deferred || 0) > 0)) return c;
+  let settled = 0;
+  for (const claim of await listDeferredClaims(c.card_id)) {
+    const { tax, rule, deferred } = await resolveTax(c, claim.amount);
+    if (deferred) break;
+    const taxRounded = Number(tax.toFixed(8));
+    if (await settleDeferredClaim(claim, taxRounded, rule)) settled++;
+    log.info(`[tax] deferred claim of ${claim.amount} on card ${cardLabel(c)} taxed ${taxRounded} (${rule}), added to its debt`);
+  }
+  return settled ? ((await getCardById(c.card_id)) || c) : c;
+}
+
+// tries to pay the card's whole outstanding debt; returns what is still owed
+async function settleTaxDebt(c) {
+  const debt = Number(c.tax_debt || 0);
+  if (debt <= 0) return 0;
+  const { receiverCard } = await getGuildTaxConfig(c.guild_id);
+  if (!receiverCard) return debt;
+  if (DRY_RUN) {
+    log.info(`[dry-run] would pay tax debt ${debt} from ${cardLabel(c)} -> ${maskCardCode(receiverCard)}`);
+    return debt;
+  }
+  log.info(`[claims] paying tax debt ${debt} from ${cardLabel(c)} -> ${maskCardCode(receiverCard)}`);
+  const j = await openJournal(c, 'debt', 'taxing', { tax: debt });
+  const payResp = await apiTransferBetweenCards(decryptCardCode(c.card_enc), receiverCard, debt);
+  if (payResp && payResp.success) {
+    await updateJournal(j, 'taxed', { tax_status: 'paid' });
+    await recordTaxDebtPayment(c.card_id, c.user_id, debt, c.guild_id, j.id);
+    await updateJournal(j, 'committed');
+    taxCoinsTotal.inc({ status: 'debt_paid' }, debt);
+    log.info(`[claims] tax debt settled for card ${cardLabel(c)}`);
+    return 0;
+  }
+  await updateJournal(j, 'failed', { tax_status: 'failed', tax_error: String(payResp?.error || 'tax_payment_failed') });
+  log.warn(`[claims] tax debt payment FAILED for card ${cardLabel(c)}`, payResp?.error || payResp);
+  return debt;
+}
+
+///// Claim journal /////
+// every claim is written ahead: claiming -> claimed -> taxing -> taxed -> committed (or failed).
+// Tax debt payments use kind 'debt' and go taxing -> taxed -> committed; sweeps use kind 'sweep' and go
+// sweeping -> committed (or failed). If the bot dies mid-way, recoverClaimJournal() finishes the entry on
+// startup and never re-sends a transfer: one that may have gone through is marked unknown and the guild alerted.
+async function recoverClaimJournal() {
+  const rows = await listOpenJournal();
+  for (const j of rows) {
+    const tag = `${String(j.card_id).slice(0, 6).toUpperCase()} (journal #${j.id})`;
+    // recovery runs before login, so alerts wait for the client
+    const alertLater = (key, vars) => {
+      const alert = () => alertGuild(j.guild_id, key, { card: String(j.card_id).slice(0, 6).toUpperCase(), user: j.user_id, ...vars });
+      if (client.isReady()) alert(); else client.once(Events.ClientReady, alert);
+    };
+    try {
+      if (j.kind === 'sweep') {
+        // the coins may already be on the destination: drop them from sweep_pending instead of sending them again
+        log.warn(`[journal] sweep of ${j.amount} for ${tag} was interrupted — not retrying, check the destination card`);
+        await setSweepPending(j.card_id, 0);
+        await logSweep({ cardId: j.card_id, userId: j.user_id, amount: j.amount, status: 'unknown', error: 'INTERRUPTED' });
+        await updateJournal(j, 'abandoned', { tax_error: 'INTERRUPTED' });
+        alertLater('alert.sweep_interrupted', { amount: j.amount });
+        continue;
+      }
+      if (j.kind === 'debt') {
+        if (j.step === 'taxing') {
+          // the payment may have gone through: the debt leaves the card (never paid twice) but is not counted as paid
+          log.warn(`[journal] tax debt payment for ${tag} was interrupted — not retrying, check the receiver card`);
+          await updateJournal(j, 'taxed', { tax_status: 'unknown', tax_error: 'INTERRUPTED' });
+          await clearTaxDebt(j.card_id, j.tax, j.id);
+          await updateJournal(j, 'committed');
+          alertLater('alert.tax_interrupted', { tax: j.tax });
+          continue;
+        }
+        if (j.tax_status === 'unknown') await clearTaxDebt(j.card_id, j.tax, j.id);
+        else await recordTaxDebtPayment(j.card_id, j.user_id, j.tax, j.guild_id, j.id);
+        await updateJournal(j, 'committed');
+        continue;
+      }
+      if (j.step === 'claiming') {
+        // we never saw the bank's answer, so there is no amount to tax; the next claim hits the cooldown if it went through
+        log.warn(`[journal] claim for ${tag} was interrupted before the bank answered — nothing to tax`);
+        await logClaim({ cardId: j.card_id, userId: j.user_id, guildId: j.guild_id, error: 'INTERRUPTED', journalId: j.id });
+        await updateJournal(j, 'abandoned');
+        continue;
+      }
+      if (j.step === 'claimed' && (!j.tax_rule || String(j.tax_rule).startsWith('deferred:'))) {
+        // the tax was deferred, or never resolved: the amount waits on the card like any other deferred claim
+        log.warn(`[journal] claim for ${tag} was interrupted before its tax was known; the tax is deferred`);
+        await updateJournal(j, 'taxed', { tax_status: 'deferred', tax_rule: j.tax_rule || 'deferred:interrupted' });
+      } else if (j.step === 'claimed') {
+        // claimed but the tax was never sent: it becomes debt, paid by the next pass
+        log.warn(`[journal] claim for ${tag} was interrupted before the tax was sent — ${j.tax} becomes tax debt`);
+        await updateJournal(j, 'taxed', { tax_status: j.tax > 0 ? 'failed' : 'none', tax_error: j.tax > 0 ? 'INTERRUPTED' : null });
+      } else if (j.step === 'taxing') {
+        // the transfer may have gone through: never resend it, leave it for an admin to check
+        log.warn(`[journal] tax transfer for ${tag} was interrupted — not retrying, check the receiver card`);
+        await updateJournal(j, 'taxed', { tax_status: 'unknown', tax_error: 'INTERRUPTED' });
+        alertLater('alert.tax_interrupted', { tax: j.tax });
+      }
+      await commitClaim(j);
+    } catch (e) {
+      log.warn(`[journal] could not recover ${tag}`, e?.message || e);
+    }
+  }
+  if (rows.length) log.info(`[journal] recovered ${rows.length} interrupted entries`);
+  // finished entries are only kept for a day; the ledger holds the permanent record
+  await pruneJournal(Math.floor(Date.now() / 1000) - 24 * 60 * 60);
+}
+
+///// Auto-sweep /////
+// users can forward what their cards claim (net of tax) to one destination card. Amounts below
+// the user's minimum accumulate in cards.sweep_pending until they are worth a transfer.
+
+// called after a successful claim + tax with the net amount that stayed on the card
+async function sweepCard(c, code, net) {
+  const cfg = await getSweepSettings(c.user_id);
+  if (!cfg || !cfg.dest_enc || cfg.dest_id === c.card_id || !(net > 0)) return;
+  const tag = cardLabel(c);
+  if (DRY_RUN) {
+    log.info(`[dry-run] would sweep ${net} from ${tag} -> ${maskCardCode(decryptCardCode(cfg.dest_enc))}`);
+    return;
+  }
+  const pending = Number((Number(c.sweep_pending || 0) + net).toFixed(8));
+  if (pending < Number(cfg.min_amount || 0)) {
+    log.debug(`[sweep] card ${tag} holding ${pending} (min ${cfg.min_amount})`);
+    await setSweepPending(c.card_id, pending);
+    return;
+  }
+  const dest = decryptCardCode(cfg.dest_enc);
+  log.info(`[sweep] forwarding ${pending} from ${tag} -> ${maskCardCode(dest)}`);
+  const j = await openJournal(c, 'sweep', 'sweeping', { amount: pending });
+  const payResp = await apiTransferBetweenCards(code, dest, pending);
+  if (payResp && payResp.success) {
+    await setSweepPending(c.card_id, 0);
+    await logSweep({ cardId: c.card_id, userId: c.user_id, amount: pending, status: 'sent' });
+    await updateJournal(j, 'committed');
   } else {
-    await runSql(`INSERT INTO cards(card_code, user_id) VALUES(?,?)`, [cardCode, userId]);
-    return { created: true };
+    log.warn(`[sweep] transfer FAILED for card ${tag}`, payResp?.error || payResp);
+    await setSweepPending(c.card_id, pending);
+    await logSweep({ cardId: c.card_id, userId: c.user_id, amount: pending, status: 'failed', error: String(payResp?.error || 'sweep_failed') });
+    await updateJournal(j, 'failed', { tax_error: String(payResp?.error || 'sweep_failed') });
   }
 }
-async function removeCard(cardCode, userId) {
-  const row = await getSql(`SELECT * FROM cards WHERE card_code=?`, [cardCode]);
-  if (!row) return { ok: false, reason: 'not_found' };
-  if (row.user_id !== userId) return { ok: false, reason: 'not_owner' };
-  await runSql(`DELETE FROM cards WHERE card_code=?`, [cardCode]);
-  return { ok: true };
+
+///// Claim schedules & pause /////
+// global setting maintenance=1 stops every pass. Per guild: claims_paused, claim_cron (the guild's cards are only
+// claimed when the cron fires), quiet_windows (JSON list of "HH:MM-HH:MM") and schedule_tz for both.
+const SCHEDULE_KEYS = ['claims_paused', 'claim_cron', 'quiet_windows', 'schedule_tz'];
+const cronTasks = new Map(); // guildId -> node-cron task
+const cronOpenGuilds = new Map(); // guildId -> when its cron fired, until a pass has claimed its due cards
+let maintenanceLogged = false;
+
+function isValidTimezone(tz) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: tz });
+    return true;
+  } catch (e) {
+    return false;
+  }
 }
-async function listUserCards(userId) {
-  return await allSql(`SELECT * FROM cards WHERE user_id=?`, [userId]);
+
+// "23:00-07:00" -> { start, end } in minutes of the day; windows may cross midnight
+function parseQuietWindow(str) {
+  const m = String(str || '').trim().match(/^(\d{1,2}):(\d{2})\s*-\s*(\d{1,2}):(\d{2})$/);
+  if (!m) return null;
+  const [h1, m1, h2, m2] = m.slice(1).map(Number);
+  if (h1 > 23 || h2 > 23 || m1 > 59 || m2 > 59) return null;
+  const start = h1 * 60 + m1;
+  const end = h2 * 60 + m2;
+  return start === end ? null : { start, end };
 }
-async function listAllCards() {
-  return await allSql(`SELECT * FROM cards ORDER BY rowid ASC`);
+function minutesOfDay(date, tz) {
+  const parts = new Intl.DateTimeFormat('en-GB', { timeZone: tz, hour: '2-digit', minute: '2-digit', hourCycle: 'h23' }).formatToParts(date);
+  const get = (type) => Number(parts.find(p => p.type === type)?.value || 0);
+  return get('hour') * 60 + get('minute');
 }
-async function setLastClaim(cardCode, ts) {
-  await runSql(`UPDATE cards SET last_claim_ts=?, claim_retry=0 WHERE card_code=?`, [ts, cardCode]);
+// minutes until every quiet window containing `date` has ended; 0 outside them
+function quietMinutesLeft(windows, tz, date = new Date()) {
+  const now = minutesOfDay(date, tz);
+  let left = 0;
+  for (const w of windows.map(parseQuietWindow).filter(Boolean)) {
+    const inside = w.start < w.end ? now >= w.start && now < w.end : now >= w.start || now < w.end;
+    if (inside) left = Math.max(left, (w.end - now + 1440) % 1440);
+  }
+  return left;
+}
+function inQuietWindow(windows, tz, date = new Date()) {
+  return quietMinutesLeft(windows, tz, date) > 0;
+}
+
+// guildId -> { paused, cron, quietWindows, timezone } for every guild with a schedule setting
+async function loadSchedules() {
+  const rows = await listGuildSettings(SCHEDULE_KEYS);
+  const schedules = new Map();
+  for (const r of rows) {
+    const s = schedules.get(r.guild_id) || { paused: false, cron: null, quietWindows: [], timezone: SCHEDULE_TIMEZONE };
+    if (r.key === 'claims_paused') s.paused = r.value === '1';
+    if (r.key === 'claim_cron') s.cron = r.value;
+    if (r.key === 'quiet_windows') s.quietWindows = JSON.parse(r.value || '[]');
+    if (r.key === 'schedule_tz') s.timezone = r.value;
+    schedules.set(r.guild_id, s);
+  }
+  return schedules;
+}
+async function getGuildSchedule(guildId) {
+  return (await loadSchedules()).get(guildId) || { paused: false, cron: null, quietWindows: [], timezone: SCHEDULE_TIMEZONE };
+}
+
+// why a due card must wait: 'paused' | 'cron' | 'quiet', or null when it can be claimed now
+function scheduleBlock(c, schedules, openGuilds, date = new Date()) {
+  const s = schedules.get(c.guild_id);
+  if (!s) return null;
+  if (s.paused) return 'paused';
+  if (s.cron && !openGuilds.has(c.guild_id)) return 'cron';
+  if (s.quietWindows.length && inQuietWindow(s.quietWindows, s.timezone, date)) return 'quiet';
+  return null;
 }
-async function incClaimRetry(cardCode) {
-  await runSql(`UPDATE cards SET claim_retry = claim_retry + 1 WHERE card_code=?`, [cardCode]);
+
+// when a card held by scheduleBlock may be claimed again (seconds): the next cron fire or the end of the
+// quiet window; null when unknown (paused guild, invalid cron), and the card then stays due
+function scheduleReleaseTs(guildId, block, schedules, date = new Date()) {
+  if (block === 'cron') {
+    const next = cronTasks.get(guildId)?.getNextRun();
+    return next ? Math.ceil(next.getTime() / 1000) : null;
+  }
+  if (block === 'quiet') {
+    const s = schedules.get(guildId);
+    const left = quietMinutesLeft(s.quietWindows, s.timezone, date);
+    return left ? Math.floor(date.getTime() / 60000) * 60 + left * 60 : null;
+  }
+  return null;
+}
+
+// moves held due cards to their release time, so they are not re-read every tick and the
+// countdown shows when they really run. Returns the cards that may be claimed now.
+async function holdScheduledCards(cards, schedules, openGuilds, date = new Date()) {
+  const ready = [];
+  const release = new Map(); // guildId|block -> ts
+  for (const c of cards) {
+    const block = scheduleBlock(c, schedules, openGuilds, date);
+    if (!block) {
+      ready.push(c);
+      continue;
+    }
+    const key = `${c.guild_id}|${block}`;
+    if (!release.has(key)) release.set(key, scheduleReleaseTs(c.guild_id, block, schedules, date));
+    const ts = release.get(key);
+    if (ts) await setNextClaim(c.card_id, ts);
+  }
+  return ready;
 }
-async function deleteCardFromDb(cardCode) {
-  await runSql(`DELETE FROM cards WHERE card_code=?`, [cardCode]);
+
+async function isMaintenance() {
+  return (await getSetting('maintenance')) === '1';
 }
-async function saveSetting(key, value) {
-  await runSql(`INSERT INTO settings(key, value) VALUES(?,?) ON CONFLICT(key) DO UPDATE SET value=excluded.value`, [key, value]);
+
+// (re)creates one node-cron task per guild with a claim_cron; called at startup and after /schedule
+async function syncCronTasks() {
+  for (const task of cronTasks.values()) task.destroy();
+  cronTasks.clear();
+  for (const [guildId, s] of await loadSchedules()) {
+    if (!s.cron) continue;
+    if (!cron.validate(s.cron)) {
+      log.warn(`[schedule] invalid cron "${s.cron}" for guild ${guildId}; ignoring`);
+      continue;
+    }
+    cronTasks.set(guildId, cron.schedule(s.cron, () => {
+      cronOpenGuilds.set(guildId, Date.now());
+      kickClaimScheduler();
+    }, { timezone: s.timezone, name: `claims-${guildId}` }));
+  }
 }
-async function getSetting(key) {
-  const r = await getSql(`SELECT value FROM settings WHERE key=?`, [key]);
-  return r?.value ?? null;
+
+// cards for /forcelaim: one card, one user's cards, or a whole guild
+async function listForcedCards(opts) {
+  if (opts.cardId) {
+    const card = await getCardById(opts.cardId);
+    return card ? [card] : [];
+  }
+  if (opts.userId) return (await listUserCards(opts.userId)).filter(c => !opts.guildId || c.guild_id === opts.guildId);
+  return opts.guildId ? await listGuildCards(opts.guildId) : await listAllCards();
 }
 
 ///// Claim worker (core) /////
-// nextClaimTimestamp used internally; we no longer show live countdown in embed
+// each card carries its own next_claim_ts (seconds); the scheduler ticks every CLAIM_TICK_MS
+// and claims whatever is due. nextClaimTimestamp (ms) tracks the earliest due card.
 let claimRunning = false;
+let claimRerun = false;
+let claimRerunOpts = null; // forced pass requested while another pass was running
 let nextClaimTimestamp = Date.now() + CLAIM_INTERVAL_MS;
+let claimProgress = null; // { startedAt, total, done } while a pass runs
+let shuttingDown = false; // set on SIGINT/SIGTERM: workers finish their current card and stop
+// pass metrics, logged after every pass to help size CLAIM_CONCURRENCY / API_RATE_PER_SEC
+const claimMetrics = { passes: 0, cards: 0, durationMs: 0, lastPass: null, lastTickAt: null }; // lastTickAt: end of any pass, even an empty one
+const lastPassByGuild = new Map(); // guildId -> { finishedAt, cards, claimed, failed, coins, tax } for the panel
 
-async function runClaimsPass() {
-  if (claimRunning) return;
-  claimRunning = true;
+// best-effort read of the cooldown left on a card, in ms (Retry-After header or claim payload)
+function parseCooldownMs(resp) {
+  if (Number(resp?.retryAfterMs) > 0) return Number(resp.retryAfterMs);
+  const d = resp?.data || resp || {};
+  if (Number(d.remainingMs) > 0) return Number(d.remainingMs);
+  if (Number(d.retryAfter) > 0) return Number(d.retryAfter) * 1000;
+  const next = Number(d.nextClaim || d.nextClaimAt || 0);
+  if (next > 0) {
+    const ms = (next < 1e12 ? next * 1000 : next) - Date.now();
+    if (ms > 0) return ms;
+  }
+  return null;
+}
+
+// client errors (4xx) rarely fix themselves, so they suspend a card sooner than network/5xx errors
+function classifyClaimError(status) {
+  return status >= 400 && status < 500 ? 'client' : 'transient';
+}
+function claimBackoffMs(retries) {
+  return Math.min(CLAIM_RETRY_DELAY_MS * 2 ** Math.max(0, retries - 1), CLAIM_BACKOFF_MAX_MS);
+}
+
+// low-cardinality label for /metrics: the bank's error code, else the HTTP status, else NETWORK (timeouts, resets)
+function claimErrorLabel(resp) {
+  const code = String(resp?.data?.error || '');
+  if (/^[A-Z][A-Z0-9_]{1,39}$/.test(code)) return code;
+  return resp?.status ? `HTTP_${resp.status}` : 'NETWORK';
+}
+
+// backs the card off exponentially, or suspends it once it hits the failure limit for its error type
+async function recordClaimFailure(c, tag, error, status) {
+  const retries = (c.claim_retry || 0) + 1;
+  const kind = classifyClaimError(status);
+  const limit = kind === 'client' ? SUSPEND_AFTER_CLIENT_ERRORS : SUSPEND_AFTER_FAILURES;
+  await logClaim({ cardId: c.card_id, userId: c.user_id, guildId: c.guild_id, error });
+  if (limit > 0 && retries >= limit) {
+    log.warn(`[claims] card ${tag} suspended after ${retries} failures (${kind}): ${error}`);
+    await suspendCard(c.card_id, retries, error);
+    await notifyCardSuspended(c, retries, error);
+    return;
+  }
+  const delay = claimBackoffMs(retries);
+  log.warn(`[claims] claim failed for ${tag} (${kind}, attempt ${retries}): ${error} — retrying in ${msToHuman(delay)}`);
+  await incClaimRetry(c.card_id, Math.floor(Date.now() / 1000) + Math.ceil(delay / 1000), error);
+  await notifyRepeatedFailure(c, retries, error);
+}
+
+async function processCardClaim(c) {
+  const nowSec = () => Math.floor(Date.now() / 1000);
+  const tag = cardLabel(c);
   try {
-    const cards = await listAllCards();
-    if (!cards || cards.length === 0) {
-      console.log('[claims] no registered cards to process.');
-      nextClaimTimestamp = Date.now() + CLAIM_INTERVAL_MS;
-      await refreshPanelEmbed().catch(()=>{});
-      return;
+    const code = decryptCardCode(c.card_enc);
+    c = await settleDeferredTax(c);
+    const debt = await settleTaxDebt(c);
+    const debtLimit = await getTaxDebtLimit(c.guild_id);
+    if (debtLimit > 0 && debt > debtLimit) {
+      log.warn(`[claims] card ${tag} paused: tax debt ${debt} exceeds limit ${debtLimit}`);
+      await setNextClaim(c.card_id, nowSec() + Math.ceil(CLAIM_INTERVAL_MS / 1000));
+      return { result: 'paused' };
     }
-    console.log(`[claims] processing ${cards.length} cards...`);
-    for (const c of cards) {
-      try {
-        console.log(`[claims] claiming card ${c.card_code} (user ${c.user_id})`);
-        const resp = await apiCardClaim(c.card_code);
-
-        if (resp && resp.success) {
-          const claimedStr = resp.claimed || resp.amount || resp.value;
-          const amountCoins = Number(claimedStr || 0);
-          if (isNaN(amountCoins) || amountCoins <= 0) {
-            console.log(`[claims] card ${c.card_code} claimed zero — updating last_claim_ts`);
-            await setLastClaim(c.card_code, Math.floor(Date.now() / 1000));
+
+    log.debug(`[claims] claiming card ${tag} (user ${c.user_id})`);
+    const j = await openJournal(c, 'claim', 'claiming');
+    const resp = await apiCardClaim(code);
+    if (!resp || !resp.success) await updateJournal(j, 'failed');
+
+    if (resp && resp.success) {
+      if (c.claim_retry > 0) log.info(`[claims] card ${tag} recovered after ${c.claim_retry} failed attempts`);
+      const claimedStr = resp.claimed || resp.amount || resp.value;
+      const amountCoins = Number(claimedStr || 0);
+      const nextTs = nowSec() + Math.ceil((parseCooldownMs(resp) || CLAIM_INTERVAL_MS) / 1000);
+      if (isNaN(amountCoins) || amountCoins <= 0) {
+        log.info(`[claims] card ${tag} claimed zero — updating last_claim_ts`);
+        await updateJournal(j, 'taxed', { next_ts: nextTs });
+        await commitClaim(j);
+        return { result: 'claimed', claimed: 0, tax: 0 };
+      } else {
+        log.info(`[claims] card ${tag} claimed ${amountCoins} coins`);
+        coinsClaimedTotal.inc(amountCoins);
+        // the claim is journaled before tax is resolved (Discord role lookups may fail or hang), so neither
+        // an error nor a crash from here on can turn a successful claim into a failure or lose its amount
+        await updateJournal(j, 'claimed', { amount: amountCoins, next_ts: nextTs });
+        let receiverCard = null;
+        let resolved;
+        try {
+          ({ receiverCard } = await getGuildTaxConfig(c.guild_id));
+          // deferring is capped per card, so an owner whose roles never load is still taxed eventually
+          const canDefer = TAX_DEFER_MAX_CLAIMS > 0 && (!(Number(c.tax_deferred || 0) > 0) || (await countDeferredClaims(c.card_id)) < TAX_DEFER_MAX_CLAIMS);
+          resolved = await resolveTax(c, amountCoins, { canDefer });
+        } catch (e) {
+          log.warn(`[claims] could not resolve tax for card ${tag}; deferring it`, e?.message || e);
+          resolved = { tax: 0, rule: 'deferred:tax_error', deferred: true, estimate: amountCoins * TAX_PERCENT };
+        }
+        const { tax, rule: taxRule, deferred, estimate = 0 } = resolved;
+        const taxRounded = Number(tax.toFixed(8));
+        log.debug(`[claims] tax rule for card ${tag}: ${taxRule}`);
+        await updateJournal(j, 'claimed', { tax: taxRounded, tax_rule: taxRule });
+        let taxStatus = 'none';
+        let taxError = null;
+        if (deferred) {
+          log.warn(`[claims] tax for card ${tag} deferred: owner's roles unavailable; it is settled on a later claim`);
+          taxStatus = 'deferred';
+        } else if (taxRounded > 0 && receiverCard && DRY_RUN) {
+          log.info(`[dry-run] would send tax ${taxRounded} from ${tag} -> ${maskCardCode(receiverCard)}`);
+          taxStatus = 'dry_run';
+        } else if (taxRounded > 0 && receiverCard) {
+          log.debug(`[claims] sending tax ${taxRounded} from ${tag} -> ${maskCardCode(receiverCard)}`);
+          await updateJournal(j, 'taxing');
+          const payResp = await apiTransferBetweenCards(code, receiverCard, taxRounded);
+          if (payResp && payResp.success) {
+            log.debug(`[claims] tax payment successful for card ${tag}`);
+            taxStatus = 'paid';
           } else {
-            console.log(`[claims] card ${c.card_code} claimed ${amountCoins} coins`);
-            const tax = (TAX_PERCENT > 0) ? (amountCoins * TAX_PERCENT) : 0;
-            const taxRounded = Number(tax.toFixed(8));
-            if (taxRounded > 0 && RECEIVER_CARD) {
-              console.log(`[claims] sending tax ${taxRounded} from ${c.card_code} -> ${RECEIVER_CARD}`);
-              const payResp = await apiTransferBetweenCards(c.card_code, RECEIVER_CARD, taxRounded);
-              if (payResp && payResp.success) {
-                console.log(`[claims] tax payment successful for card ${c.card_code}`);
-              } else {
-                console.warn(`[claims] tax payment FAILED for card ${c.card_code}`, payResp?.error || payResp);
-              }
-            } else {
-              if (!RECEIVER_CARD && taxRounded > 0) {
-                console.warn('[claims] RECEIVER_CARD not set; skipping tax send');
-              } else {
-                console.log('[claims] tax is zero or TAX_PERCENT is 0; skipping tax send');
-              }
-            }
-            await setLastClaim(c.card_code, Math.floor(Date.now() / 1000));
+            log.warn(`[claims] tax payment FAILED for card ${tag}`, payResp?.error || payResp);
+            taxStatus = 'failed';
+            taxError = String(payResp?.error || 'tax_payment_failed');
           }
         } else {
-          const status = resp?.status || (resp && resp.error && resp.error === 'COOLDOWN_ACTIVE' ? 429 : null);
-          const errStr = resp?.error || 'claim_failed';
-          if (status === 429 || errStr === 'COOLDOWN_ACTIVE') {
-            console.log(`[claims] card ${c.card_code} is in cooldown — skipping (no charge).`);
-          } else if (status === 404 || errStr === 'CARD_NOT_FOUND' || (String(errStr).toUpperCase().includes('CARD_NOT_FOUND'))) {
-            console.log(`[claims] card ${c.card_code} not found on API — deleting from DB.`);
-            await deleteCardFromDb(c.card_code);
+          if (!receiverCard && taxRounded > 0) {
+            log.warn(`[claims] no receiver card for guild ${c.guild_id || '-'}; skipping tax send`);
+            taxStatus = 'skipped';
           } else {
-            console.warn(`[claims] claim failed for ${c.card_code}:`, errStr);
-            await incClaimRetry(c.card_code);
+            log.debug(`[claims] tax is zero (${taxRule}); skipping tax send`);
           }
         }
-      } catch (e) {
-        console.warn('[claims] unexpected error processing card', c.card_code, e?.message || e);
-        await incClaimRetry(c.card_code);
+        await updateJournal(j, 'taxed', { tax_status: taxStatus, tax_error: taxError });
+        if (taxRounded > 0) taxCoinsTotal.inc({ status: taxStatus }, taxRounded);
+        const debt = await commitClaim(j);
+        if (debt > 0) log.info(`[claims] added ${debt} to tax debt of card ${tag}`);
+        // unpaid tax stays on the card as debt, so only the post-tax amount is swept; a deferred claim
+        // keeps its estimated tax on the card too, so there is something to charge once it is settled
+        const heldBack = deferred ? Number(estimate.toFixed(8)) : taxRounded;
+        await sweepCard(c, code, amountCoins - heldBack).catch(e => log.warn(`[sweep] error for card ${tag}`, e?.message || e));
+        return { result: 'claimed', claimed: amountCoins, tax: taxStatus === 'paid' ? taxRounded : 0 };
+      }
+    } else {
+      const errCode = resp?.data?.error || resp?.error;
+      const status = resp?.status || (errCode === 'COOLDOWN_ACTIVE' ? 429 : null);
+      const errStr = resp?.error || 'claim_failed';
+      if (errCode === 'COOLDOWN_ACTIVE') {
+        // follow the API's cooldown when it tells us; otherwise assume a full interval from the last claim
+        const cooldownMs = parseCooldownMs(resp);
+        let nextTs = cooldownMs ? nowSec() + Math.ceil(cooldownMs / 1000) : Number(c.last_claim_ts || 0) + Math.ceil(CLAIM_INTERVAL_MS / 1000);
+        if (nextTs <= nowSec()) nextTs = nowSec() + Math.ceil(CLAIM_RETRY_DELAY_MS / 1000);
+        log.info(`[claims] card ${tag} is in cooldown — next attempt in ${msToHuman((nextTs - nowSec()) * 1000)} (no charge).`);
+        await setNextClaim(c.card_id, nextTs);
+        // kept in the ledger for admins and exports; /history hides these rows
+        await logClaim({ cardId: c.card_id, userId: c.user_id, guildId: c.guild_id, error: 'COOLDOWN_ACTIVE' });
+        return { result: 'cooldown', error: 'COOLDOWN_ACTIVE' };
+      } else if (status === 429) {
+        // the bank is limiting us, not this card: apiCardClaim already paused the limiter, so just come back later
+        const waitMs = resp.retryAfterMs || API_RATE_LIMIT_BACKOFF_MS;
+        log.warn(`[claims] rate limited while claiming ${tag} — retrying in ${msToHuman(waitMs)}`);
+        await setNextClaim(c.card_id, nowSec() + Math.ceil(waitMs / 1000));
+        await logClaim({ cardId: c.card_id, userId: c.user_id, guildId: c.guild_id, error: 'RATE_LIMITED' });
+        return { result: 'rate_limited', error: 'RATE_LIMITED' };
+      } else if (status === 404 || errStr === 'CARD_NOT_FOUND' || (String(errStr).toUpperCase().includes('CARD_NOT_FOUND'))) {
+        log.info(`[claims] card ${tag} not found on API — deleting from DB.`);
+        await deleteCardFromDb(c.card_id);
+        await logClaim({ cardId: c.card_id, userId: c.user_id, guildId: c.guild_id, error: 'CARD_NOT_FOUND' });
+        await notifyCardRemoved(c);
+        return { result: 'removed', error: 'CARD_NOT_FOUND' };
+      } else {
+        await recordClaimFailure(c, tag, String(errStr), status);
+        return { result: 'failed', error: claimErrorLabel(resp) };
       }
-      await new Promise(r => setTimeout(r, CLAIM_QUEUE_DELAY_MS));
     }
-    console.log('[claims] pass finished.');
   } catch (e) {
-    console.error('[claims] worker fatal error', e?.message || e);
+    log.warn('[claims] unexpected error processing card', tag, e?.message || e);
+    await recordClaimFailure(c, tag, String(e?.message || e), null).catch(err => log.warn('[claims] could not record failure', err?.message || err));
+    return { result: 'failed', error: 'EXCEPTION' };
+  }
+}
+
+// opts.force: claim every card now, ignoring next_claim_ts (used by /forcelaim); opts.guildId limits a forced pass to one guild
+// opts.cardId / opts.userId narrow a forced pass to one card or one user's cards. opts.now (a Date, default the
+// current time) is when the pass decides which cards are due and whether quiet windows hold them.
+// Returns { processed }, { queued: true } when another pass is still running (the request then runs right
+// after it), or { maintenance: true }.
+async function runClaimsPass(opts = {}) {
+  if (shuttingDown) return;
+  if (await isMaintenance()) {
+    if (!maintenanceLogged) log.info('[claims] maintenance mode is on — no claims until /resume global');
+    maintenanceLogged = true;
+    claimMetrics.lastTickAt = Date.now();
+    return { maintenance: true };
+  }
+  maintenanceLogged = false;
+  if (claimRunning) {
+    if (opts.force) claimRerunOpts = opts;
+    if (!claimRerun) {
+      const progress = claimProgress ? `${claimProgress.done}/${claimProgress.total} cards` : 'starting';
+      log.info(`[claims] previous pass still running (${progress}) — queued another pass after it`);
+    }
+    claimRerun = true;
+    return { queued: true };
+  }
+  claimRunning = true;
+  let processed = 0;
+  const earnings = new Map(); // userId -> { claimed, tax, cards } for the pass metrics
+  const startedAt = Date.now();
+  const counts = {}; // result -> number of cards
+  const guildStats = new Map(); // guildId -> totals of this pass, copied to lastPassByGuild at the end
+  try {
+    // forced passes ignore cron and quiet windows, but never claim paused cards or paused guilds
+    const now = opts.now || new Date();
+    const schedules = await loadSchedules();
+    const openGuilds = new Map(cronOpenGuilds);
+    const cards = opts.force
+      ? (await listForcedCards(opts)).filter(c => (c.status || 'active') === 'active' && !schedules.get(c.guild_id)?.paused)
+      : await holdScheduledCards(await listDueCards(Math.floor(now.getTime() / 1000)), schedules, openGuilds, now);
+    if (!cards || cards.length === 0) {
+      if (opts.force) log.info('[claims] no active cards to process.');
+      return { processed: 0 };
+    }
+    log.info(`[claims] processing ${cards.length} ${opts.force ? '' : 'due '}cards with ${Math.min(CLAIM_CONCURRENCY, cards.length)} workers...`);
+    claimProgress = { startedAt, total: cards.length, done: 0 };
+    new Set(cards.map(c => c.guild_id)).forEach(gid => gid && refreshPanelEmbed(gid));
+    // workers pull from a shared queue; the API limiter paces their requests
+    const queue = cards.slice();
+    const worker = async () => {
+      while (queue.length && !shuttingDown) {
+        const c = queue.shift();
+        const outcome = await processCardClaim(c);
+        processed++;
+        claimProgress.done = processed;
+        const result = outcome?.result || 'skipped';
+        counts[result] = (counts[result] || 0) + 1;
+        claimsTotal.inc({ result });
+        if (outcome?.error) claimErrorsTotal.inc({ code: outcome.error });
+        if (c.guild_id) {
+          const g = guildStats.get(c.guild_id) || { cards: 0, claimed: 0, failed: 0, coins: 0, tax: 0 };
+          g.cards++;
+          if (result === 'claimed') g.claimed++;
+          if (result === 'failed') g.failed++;
+          g.coins += outcome?.claimed || 0;
+          g.tax += outcome?.tax || 0;
+          guildStats.set(c.guild_id, g);
+          refreshPanelEmbed(c.guild_id); // debounced, so this is the live progress
+        }
+        if (outcome?.claimed > 0) {
+          const e = earnings.get(c.user_id) || { claimed: 0, tax: 0, cards: 0 };
+          e.claimed += outcome.claimed;
+          e.tax += outcome.tax;
+          e.cards++;
+          earnings.set(c.user_id, e);
+        }
+      }
+    };
+    await Promise.all(Array.from({ length: Math.min(CLAIM_CONCURRENCY, cards.length) }, worker));
+    // a cron opening is used up once its guild's cards went through (unless it fired again meanwhile)
+    if (!opts.force && !shuttingDown) {
+      for (const gid of guildStats.keys()) {
+        if (openGuilds.has(gid) && cronOpenGuilds.get(gid) === openGuilds.get(gid)) cronOpenGuilds.delete(gid);
+      }
+    }
+    recordPassMetrics(startedAt, processed, counts, earnings);
+    for (const [gid, g] of guildStats) lastPassByGuild.set(gid, { ...g, finishedAt: Date.now() });
+    return { processed };
+  } catch (e) {
+    log.error('[claims] worker fatal error', e?.message || e);
   } finally {
-    nextClaimTimestamp = Date.now() + CLAIM_INTERVAL_MS;
+    const nextDue = await getNextDueTs().catch(() => null);
+    nextClaimTimestamp = nextDue ? Math.max(Date.now(), nextDue * 1000) : Date.now() + CLAIM_INTERVAL_MS;
     claimRunning = false;
-    await refreshPanelEmbed().catch(()=>{});
+    claimProgress = null;
+    claimMetrics.lastTickAt = Date.now();
+    for (const gid of guildStats.keys()) refreshPanelEmbed(gid);
+    if (claimRerun) {
+      const rerunOpts = claimRerunOpts || {};
+      claimRerun = false;
+      claimRerunOpts = null;
+      setImmediate(() => runClaimsPass(rerunOpts).catch(e => log.warn('claims rerun error', e?.message || e)));
+    }
   }
 }
 
-function startClaimScheduler() {
-  runClaimsPass().catch(e => console.warn('initial claims run error', e?.message || e));
-  setInterval(() => runClaimsPass().catch(e => console.warn('scheduled claims error', e?.message || e)), CLAIM_INTERVAL_MS);
+function recordPassMetrics(startedAt, processed, counts, earnings) {
+  const durationMs = Date.now() - startedAt;
+  const coins = [...earnings.values()].reduce((sum, e) => sum + e.claimed, 0);
+  const tax = [...earnings.values()].reduce((sum, e) => sum + e.tax, 0);
+  const perSec = durationMs > 0 ? processed / (durationMs / 1000) : processed;
+  claimMetrics.passes++;
+  claimMetrics.cards += processed;
+  claimMetrics.durationMs += durationMs;
+  claimMetrics.lastPass = { finishedAt: Date.now(), durationMs, cards: processed, counts, coins, tax, perSec };
+  passDuration.observe(durationMs / 1000);
+  const summary = Object.entries(counts).map(([k, v]) => `${k} ${v}`).join(', ');
+  log.info(`[claims] pass finished: ${processed} cards in ${msToHuman(durationMs)} (${perSec.toFixed(2)} cards/s) — ${summary}; coins ${formatCoins(coins)}, tax paid ${formatCoins(tax)}`);
+  if (durationMs > CLAIM_INTERVAL_MS) {
+    log.warn(`[claims] pass took longer than CLAIM_INTERVAL_MS (${msToHuman(CLAIM_INTERVAL_MS)}) — consider raising CLAIM_CONCURRENCY or API_RATE_PER_SEC`);
+  }
+}
+
+// run a pass right away (e.g. a card was just linked) instead of waiting for the next tick
+function kickClaimScheduler() {
+  setImmediate(() => runClaimsPass().catch(e => log.warn('claims kick error', e?.message || e)));
+}
+
+let claimTimer = null;
+let digestTimer = null;
+async function startClaimScheduler() {
+  await dbReady;
+  await bankReady;
+  await recoverClaimJournal().catch(e => log.error('[journal] recovery error', e?.message || e));
+  await syncCronTasks().catch(e => log.warn('[schedule] could not start cron tasks', e?.message || e));
+  runClaimsPass().catch(e => log.warn('initial claims run error', e?.message || e));
+  claimTimer = setInterval(() => runClaimsPass().catch(e => log.warn('scheduled claims error', e?.message || e)), CLAIM_TICK_MS);
+  if (DIGEST_INTERVAL_MS > 0) {
+    const check = () => sendEarningsDigests().catch(e => log.warn('[digest] error', e?.message || e));
+    check();
+    digestTimer = setInterval(check, Math.min(DIGEST_INTERVAL_MS, 5 * 60 * 1000));
+  }
+}
+if (require.main === module) startClaimScheduler();
+
+///// Health & metrics /////
+// optional local HTTP server (METRICS_PORT): GET /healthz for the restart loop / uptime checks,
+// GET /metrics in the Prometheus text format. Counters start at zero on every restart.
+const metrics = createMetrics();
+const claimsTotal = metrics.counter('autoclaim_claims_total', 'Card claims processed by passes, by result');
+const claimErrorsTotal = metrics.counter('autoclaim_claim_errors_total', 'Unsuccessful claims by bank error code (HTTP_<status> or NETWORK without one)');
+const coinsClaimedTotal = metrics.counter('autoclaim_coins_claimed_total', 'Coins claimed from the bank');
+const taxCoinsTotal = metrics.counter('autoclaim_tax_coins_total', 'Tax by outcome: paid, failed, skipped (no receiver), dry_run, debt_paid');
+const passDuration = metrics.summary('autoclaim_pass_duration_seconds', 'Duration of claim passes that processed cards');
+metrics.gauge('autoclaim_last_pass_timestamp_seconds', 'When the last claim pass that processed cards finished (0 = none yet)',
+  g => g.set(claimMetrics.lastPass ? Math.floor(claimMetrics.lastPass.finishedAt / 1000) : 0));
+metrics.gauge('autoclaim_pass_running', '1 while a claim pass is running', g => g.set(claimRunning ? 1 : 0));
+metrics.gauge('autoclaim_queue_length', 'Cards of the running pass not finished yet', g => g.set(claimProgress ? claimProgress.total - claimProgress.done : 0));
+metrics.gauge('autoclaim_cards_due', 'Cards whose next claim is due', async g => g.set(await countDueCards(Math.floor(Date.now() / 1000)).catch(() => 0)));
+metrics.gauge('autoclaim_discord_connected', '1 when the Discord client is ready', g => g.set(client.isReady() ? 1 : 0));
+
+// { status: 'ok' | 'degraded', ... }; degraded when Discord is not connected or the database does not answer
+async function getHealth() {
+  const db = await pingDb().then(() => ({ ok: true }), e => ({ ok: false, error: String(e?.message || e) }));
+  const discord = { ready: client.isReady(), ping: client.isReady() ? client.ws.ping : null };
+  const last = claimMetrics.lastPass;
+  const tick = claimMetrics.lastTickAt;
+  return {
+    status: discord.ready && db.ok ? 'ok' : 'degraded',
+    discord,
+    db,
+    claims: {
+      running: claimRunning,
+      maintenance: db.ok ? await isMaintenance() : null,
+      // a pass only runs when cards are due, so a quiet bot can have an old pass and a fresh tick
+      lastPassAt: last ? new Date(last.finishedAt).toISOString() : null,
+      secondsSinceLastPass: last ? Math.floor((Date.now() - last.finishedAt) / 1000) : null,
+      // staleness of the scheduler itself: every tick counts, including ones with nothing due
+      lastTickAt: tick ? new Date(tick).toISOString() : null,
+      secondsSinceLastTick: tick ? Math.floor((Date.now() - tick) / 1000) : null,
+      nextDueAt: new Date(nextClaimTimestamp).toISOString()
+    },
+    uptimeSec: Math.floor(process.uptime())
+  };
+}
+
+let monitorServer = null;
+function startMonitorServer() {
+  if (!(METRICS_PORT > 0)) return;
+  monitorServer = http.createServer(async (req, res) => {
+    try {
+      const path = String(req.url || '').split('?')[0];
+      if (req.method !== 'GET') {
+        res.writeHead(405).end();
+      } else if (path === '/healthz') {
+        const health = await getHealth();
+        res.writeHead(health.status === 'ok' ? 200 : 503, { 'Content-Type': 'application/json' }).end(JSON.stringify(health));
+      } else if (path === '/metrics') {
+        res.writeHead(200, { 'Content-Type': 'text/plain; version=0.0.4' }).end(await metrics.render());
+      } else {
+        res.writeHead(404).end();
+      }
+    } catch (e) {
+      log.warn('[monitor] request failed', e?.message || e);
+      if (!res.headersSent) res.writeHead(500);
+      res.end();
+    }
+  });
+  monitorServer.on('error', e => log.error('[monitor] HTTP server error', e?.message || e));
+  monitorServer.listen(METRICS_PORT, METRICS_HOST, () => log.info(`[monitor] /healthz and /metrics on http://${METRICS_HOST}:${METRICS_PORT}`));
 }
-startClaimScheduler();
 
 ///// Discord client & UI ///// 
 const client = new Client({
@@ -251,82 +1122,588 @@ const client = new Client({
 
 async function registerSlashCommands() {
   try {
+    // descriptions and choice names come from the cmd.* catalog keys (i18n.js)
     const commands = [
       new SlashCommandBuilder().setName('linkcard')
-        .setDescription('Link a card to your user (card code)')
-        .addStringOption(o => o.setName('card').setDescription('Card code').setRequired(true)),
+        .addStringOption(o => o.setName('card').setRequired(true)),
       new SlashCommandBuilder().setName('unlinkcard')
-        .setDescription('Unlink a card you own')
-        .addStringOption(o => o.setName('card').setDescription('Card code').setRequired(true)),
-      new SlashCommandBuilder().setName('mycards')
-        .setDescription('List your linked cards'),
+        .addStringOption(o => o.setName('card').setRequired(true)),
+      new SlashCommandBuilder().setName('mycards'),
+      new SlashCommandBuilder().setName('history')
+        .addIntegerOption(o => o.setName('page').setMinValue(1)),
+      new SlashCommandBuilder().setName('importcards')
+        .addAttachmentOption(o => o.setName('file')),
+      new SlashCommandBuilder().setName('exportcards'),
       new SlashCommandBuilder().setName('createpanel')
-        .setDescription('Create the cards panel in this channel (admins only)')
         .setDefaultMemberPermissions(PermissionFlagsBits.ManageGuild),
       new SlashCommandBuilder().setName('forcelaim')
-        .setDescription('Force a claims pass now (admin)')
         .setDefaultMemberPermissions(PermissionFlagsBits.ManageGuild)
-    ].map(c => c.toJSON());
+        .addStringOption(o => o.setName('card'))
+        .addUserOption(o => o.setName('user')),
+      new SlashCommandBuilder().setName('schedule')
+        .setDefaultMemberPermissions(PermissionFlagsBits.ManageGuild)
+        .addSubcommand(s => s.setName('show'))
+        .addSubcommand(s => s.setName('cron')
+          .addStringOption(o => o.setName('expression').setRequired(true)))
+        .addSubcommand(s => s.setName('quiet')
+          .addStringOption(o => o.setName('window').setRequired(true)))
+        .addSubcommand(s => s.setName('timezone')
+          .addStringOption(o => o.setName('name').setRequired(true)))
+        .addSubcommand(s => s.setName('clear')),
+      new SlashCommandBuilder().setName('pause')
+        .addStringOption(o => o.setName('card'))
+        .addBooleanOption(o => o.setName('global')),
+      new SlashCommandBuilder().setName('resume')
+        .addStringOption(o => o.setName('card'))
+        .addBooleanOption(o => o.setName('global')),
+      new SlashCommandBuilder().setName('taxreport')
+        .setDefaultMemberPermissions(PermissionFlagsBits.ManageGuild),
+      new SlashCommandBuilder().setName('taxpolicy')
+        .setDefaultMemberPermissions(PermissionFlagsBits.ManageGuild)
+        .addNumberOption(o => o.setName('debt_limit').setMinValue(0).setRequired(true)),
+      new SlashCommandBuilder().setName('config')
+        .setDefaultMemberPermissions(PermissionFlagsBits.ManageGuild)
+        .addNumberOption(o => o.setName('tax_percent').setMinValue(0).setMaxValue(100))
+        .addStringOption(o => o.setName('receiver_card'))
+        .addChannelOption(o => o.setName('log_channel'))
+        .addStringOption(o => o.setName('locale').addChoices(
+          { name: 'Português (Brasil)', value: 'pt-BR' }, { name: 'English (US)', value: 'en-US' })),
+      new SlashCommandBuilder().setName('taxrule')
+        .setDefaultMemberPermissions(PermissionFlagsBits.ManageGuild)
+        .addSubcommand(s => s.setName('list'))
+        .addSubcommand(s => s.setName('exempt')
+          .addRoleOption(o => o.setName('role').setRequired(true)))
+        .addSubcommand(s => s.setName('role')
+          .addRoleOption(o => o.setName('role').setRequired(true))
+          .addNumberOption(o => o.setName('rate').setMinValue(0).setMaxValue(100).setRequired(true)))
+        .addSubcommand(s => s.setName('bracket')
+          .addNumberOption(o => o.setName('rate').setMinValue(0).setMaxValue(100).setRequired(true))
+          .addNumberOption(o => o.setName('up_to').setMinValue(0)))
+        .addSubcommand(s => s.setName('remove')
+          .addIntegerOption(o => o.setName('id').setRequired(true))),
+      new SlashCommandBuilder().setName('cardadmin')
+        .setDefaultMemberPermissions(PermissionFlagsBits.ManageGuild)
+        .addSubcommand(s => s.setName('search')
+          .addStringOption(o => o.setName('query'))
+          .addUserOption(o => o.setName('user'))
+          .addStringOption(o => o.setName('status').addChoices(
+            { name: 'active', value: 'active' }, { name: 'paused', value: 'paused' },
+            { name: 'suspended', value: 'suspended' }, { name: 'disabled', value: 'disabled' })))
+        .addSubcommand(s => s.setName('inspect')
+          .addStringOption(o => o.setName('card').setRequired(true)))
+        .addSubcommand(s => s.setName('unlink')
+          .addStringOption(o => o.setName('card').setRequired(true))
+          .addStringOption(o => o.setName('reason')))
+        .addSubcommand(s => s.setName('reassign')
+          .addStringOption(o => o.setName('card').setRequired(true))
+          .addUserOption(o => o.setName('user').setRequired(true)))
+        .addSubcommand(s => s.setName('disable')
+          .addStringOption(o => o.setName('card').setRequired(true))
+          .addStringOption(o => o.setName('reason')))
+        .addSubcommand(s => s.setName('enable')
+          .addStringOption(o => o.setName('card').setRequired(true)))
+        .addSubcommand(s => s.setName('export')
+          .addStringOption(o => o.setName('format').addChoices(
+            { name: 'CSV', value: 'csv' }, { name: 'JSON', value: 'json' }))
+          .addIntegerOption(o => o.setName('days').setMinValue(0)))
+        .addSubcommand(s => s.setName('audit')
+          .addIntegerOption(o => o.setName('page').setMinValue(1))),
+      new SlashCommandBuilder().setName('linkrequests')
+        .setDefaultMemberPermissions(PermissionFlagsBits.ManageGuild)
+        .addSubcommand(s => s.setName('list'))
+        .addSubcommand(s => s.setName('approve')
+          .addIntegerOption(o => o.setName('id').setRequired(true)))
+        .addSubcommand(s => s.setName('reject')
+          .addIntegerOption(o => o.setName('id').setRequired(true)))
+    ].map(c => localizeCommand(c).toJSON());
 
     if (CLIENT_ID) {
       const rest = new REST({ version: '10' }).setToken(DISCORD_TOKEN);
       await rest.put(Routes.applicationCommands(CLIENT_ID), { body: commands });
-      console.log('Slash commands registered globally (CLIENT_ID provided).');
+      log.info('Slash commands registered globally (CLIENT_ID provided).');
     } else {
-      console.log('CLIENT_ID not provided — slash commands not registered globally. Use guild registration if needed.');
+      log.info('CLIENT_ID not provided — slash commands not registered globally. Use guild registration if needed.');
     }
   } catch (e) {
-    console.warn('Failed to register slash commands', e?.message || e);
+    log.warn('Failed to register slash commands', e?.message || e);
   }
 }
 
-function buildPanelEmbed(totalCards = 0) {
+// next pass for the panel: cron next run, or the guild's earliest due card
+async function describeNextPass(guildId, locale) {
+  if (await isMaintenance()) return t(locale, 'panel.maintenance');
+  const sched = await getGuildSchedule(guildId);
+  if (sched.paused) return t(locale, 'panel.paused');
+  const cronNext = cronTasks.get(guildId)?.getNextRun();
+  const dueTs = cronNext ? Math.floor(cronNext.getTime() / 1000) : await getGuildNextDueTs(guildId);
+  if (dueTs === null) return '—';
+  return dueTs <= Math.floor(Date.now() / 1000) ? t(locale, 'common.now') : `<t:${dueTs}:R>`;
+}
+
+// the panel is shared by the whole guild, so it uses the guild locale (/config locale)
+async function buildPanelEmbed(guildId, locale) {
+  const totalCards = await countGuildCards(guildId);
+  const last = lastPassByGuild.get(guildId);
+  const status = claimRunning && claimProgress
+    ? t(locale, 'panel.running', { done: claimProgress.done, total: claimProgress.total })
+    : t(locale, 'panel.idle', { next: await describeNextPass(guildId, locale) });
   const embed = new EmbedBuilder()
-    .setTitle('Painel — Auto-Claim de Cards')
-    .setDescription('Use os botões abaixo para gerenciar seus cards.')
+    .setTitle(t(locale, 'panel.title'))
+    .setDescription(t(locale, 'panel.description'))
     .addFields(
-      { name: 'Auto-Claim a cada', value: msToHuman(CLAIM_INTERVAL_MS), inline: true },
-      { name: 'Cards registrados', value: String(totalCards || 0), inline: true }
+      { name: t(locale, 'panel.interval'), value: msToHuman(CLAIM_INTERVAL_MS), inline: true },
+      { name: t(locale, 'panel.cards'), value: String(totalCards || 0), inline: true },
+      { name: t(locale, 'panel.pass'), value: status, inline: false },
+      { name: t(locale, 'panel.last_pass'), value: last
+        ? t(locale, 'panel.last_pass_value', {
+          when: `<t:${Math.floor(last.finishedAt / 1000)}:R>`, claimed: last.claimed, coins: formatCoins(last.coins),
+          tax: formatCoins(last.tax), failed: last.failed
+        })
+        : t(locale, 'panel.no_pass'), inline: false }
     )
-    .setFooter({ text: 'Painel de registro de cartões - Coin System' })
+    .setFooter({ text: t(locale, 'common.footer') })
     .setColor(0x2F3136);
   return embed;
 }
-function buildPanelButtons() {
+
+async function buildLeaderboardEmbed(guildId, locale) {
+  const nowSec = Math.floor(Date.now() / 1000);
+  const [weekly, allTime] = await Promise.all([getGuildLeaderboard(guildId, nowSec - 7 * 86400, 10), getGuildLeaderboard(guildId, 0, 10)]);
+  const medal = (i) => ['🥇', '🥈', '🥉'][i] || `${i + 1}.`;
+  const lines = (rows) => rows.length
+    ? rows.map((r, i) => t(locale, 'leaderboard.line', { medal: medal(i), user: r.user_id, net: formatCoins(r.net), claims: r.claims })).join('\n')
+    : t(locale, 'leaderboard.empty');
+  return new EmbedBuilder()
+    .setTitle(t(locale, 'leaderboard.title'))
+    .setColor(0xF1C40F)
+    .addFields(
+      { name: t(locale, 'leaderboard.week'), value: lines(weekly), inline: false },
+      { name: t(locale, 'leaderboard.all_time'), value: lines(allTime), inline: false }
+    )
+    .setFooter({ text: `${t(locale, 'leaderboard.footer')} — ${t(locale, 'common.footer')}` });
+}
+function buildPanelButtons(locale) {
   const row = new ActionRowBuilder()
     .addComponents(
-      new ButtonBuilder().setCustomId('panel_add').setLabel('Adicionar Card').setStyle(ButtonStyle.Primary),
-      new ButtonBuilder().setCustomId('panel_remove').setLabel('Remover Card').setStyle(ButtonStyle.Danger),
-      new ButtonBuilder().setCustomId('panel_mycards').setLabel('Meus Cards').setStyle(ButtonStyle.Secondary)
+      new ButtonBuilder().setCustomId('panel_add').setLabel(t(locale, 'panel.button.add')).setStyle(ButtonStyle.Primary),
+      new ButtonBuilder().setCustomId('panel_remove').setLabel(t(locale, 'panel.button.remove')).setStyle(ButtonStyle.Danger),
+      new ButtonBuilder().setCustomId('panel_mycards').setLabel(t(locale, 'panel.button.mycards')).setStyle(ButtonStyle.Secondary),
+      new ButtonBuilder().setCustomId('panel_history').setLabel(t(locale, 'panel.button.history')).setStyle(ButtonStyle.Secondary),
+      new ButtonBuilder().setCustomId('panel_sweep').setLabel(t(locale, 'panel.button.sweep')).setStyle(ButtonStyle.Secondary)
     );
-  return [row];
+  const row2 = new ActionRowBuilder()
+    .addComponents(
+      new ButtonBuilder().setCustomId('panel_notify').setLabel(t(locale, 'panel.button.notify')).setStyle(ButtonStyle.Secondary),
+      new ButtonBuilder().setCustomId('panel_leaderboard').setLabel(t(locale, 'panel.button.leaderboard')).setStyle(ButtonStyle.Secondary)
+    );
+  return [row, row2];
+}
+
+// "Meus Cards" view shared by /mycards and the panel button; suspended and paused cards get a reactivate button
+async function buildMyCardsView(user, rows, locale) {
+  const embed = new EmbedBuilder()
+    .setTitle(t(locale, 'mycards.title', { user: user.username }))
+    .setColor(0x5865F2)
+    .setFooter({ text: t(locale, 'common.footer') });
+  const sweep = await getSweepSettings(user.id);
+  if (sweep?.dest_enc) {
+    const sweeps = await listUserSweeps(user.id, 3);
+    const lines = [t(locale, 'mycards.sweep', { dest: maskCardCode(decryptCardCode(sweep.dest_enc)), min: formatCoins(sweep.min_amount) })];
+    sweeps.forEach(l => lines.push(`<t:${l.ts}:R> ${l.alias || '?'} → ${formatCoins(l.amount)} ${l.status === 'sent' ? '✅' : `${l.status === 'unknown' ? '⚠️' : '❌'} ${l.error || ''}`}`));
+    embed.setDescription(lines.join('\n'));
+  }
+  rows.slice(0, 25).forEach(r => {
+    const lines = [
+      t(locale, 'mycards.last_claim', { ago: formatLastClaimAgo(r.last_claim_ts, locale) }),
+      t(locale, 'mycards.retries', { n: r.claim_retry || 0 })
+    ];
+    if ((r.status || 'active') !== 'active') {
+      lines.push(t(locale, 'mycards.status', { status: t(locale, `status.${r.status}`) }) + (r.last_error ? ` — ${r.last_error}` : ''));
+    }
+    if (r.tax_debt > 0) lines.push(t(locale, 'mycards.tax_debt', { amount: formatCoins(r.tax_debt) }));
+    if (r.tax_deferred > 0) lines.push(t(locale, 'mycards.tax_deferred', { amount: formatCoins(r.tax_deferred) }));
+    if (r.sweep_pending > 0) lines.push(t(locale, 'mycards.sweep_pending', { amount: formatCoins(r.sweep_pending) }));
+    embed.addFields({ name: cardLabel(r), value: lines.join('\n'), inline: false });
+  });
+  const suspended = rows.filter(r => r.status === 'suspended' || r.status === 'paused').slice(0, 5);
+  const components = suspended.length ? [new ActionRowBuilder().addComponents(suspended.map(r =>
+    new ButtonBuilder().setCustomId(`card_reactivate:${r.card_id}`).setLabel(t(locale, 'mycards.reactivate', { alias: r.alias })).setStyle(ButtonStyle.Success)))] : [];
+  return { embeds: [embed], components };
+}
+
+// "paid", "failed"... as shown next to a claim's tax
+function taxStatusLabel(status, locale) {
+  return t(locale, `tax_status.${status || 'none'}`);
+}
+
+// paginated claim history (ephemeral) — page is 0-based
+const HISTORY_PAGE_SIZE = 10;
+const HISTORY_HIDDEN_ERRORS = ['COOLDOWN_ACTIVE']; // early retries, not something the user did
+async function buildHistoryView(user, page = 0, locale) {
+  const filter = { hideErrors: HISTORY_HIDDEN_ERRORS };
+  const total = await countUserClaims(user.id, filter);
+  const pages = Math.max(1, Math.ceil(total / HISTORY_PAGE_SIZE));
+  page = Math.min(Math.max(0, Number(page) || 0), pages - 1);
+  const rows = await listUserClaims(user.id, HISTORY_PAGE_SIZE, page * HISTORY_PAGE_SIZE, filter);
+  const nowSec = Math.floor(Date.now() / 1000);
+  const [daily, weekly, allTime] = await Promise.all([
+    sumUserNet(user.id, nowSec - 86400),
+    sumUserNet(user.id, nowSec - 7 * 86400),
+    sumUserNet(user.id, 0)
+  ]);
+
+  const lines = rows.map(r => {
+    const when = `<t:${r.ts}:f>`;
+    const alias = r.alias || String(r.card_id || '').slice(0, 6).toUpperCase();
+    if (r.error && !(r.amount > 0)) return `${when} \`${alias}\` — ${r.error}`;
+    let line = `${when} \`${alias}\` +${formatCoins(r.amount)}`;
+    if (r.tax > 0) line += ` ${t(locale, 'history.tax', { amount: formatCoins(r.tax), status: taxStatusLabel(r.tax_status, locale) })}`;
+    else if (r.tax_rule && r.tax_rule.startsWith('exempt')) line += ` ${t(locale, 'history.exempt')}`;
+    return line;
+  });
+
+  const embed = new EmbedBuilder()
+    .setTitle(t(locale, 'history.title', { user: user.username }))
+    .setColor(0x5865F2)
+    .setDescription(lines.length ? lines.join('\n') : t(locale, 'history.empty'))
+    .addFields(
+      { name: t(locale, 'history.last_24h'), value: formatCoins(daily), inline: true },
+      { name: t(locale, 'history.last_7d'), value: formatCoins(weekly), inline: true },
+      { name: t(locale, 'history.total'), value: formatCoins(allTime), inline: true }
+    )
+    .setFooter({ text: `${t(locale, 'common.page', { page: page + 1, pages })} — ${t(locale, 'common.footer')}` });
+
+  const row = new ActionRowBuilder().addComponents(
+    new ButtonBuilder().setCustomId(`history_page:${page - 1}`).setLabel('◀').setStyle(ButtonStyle.Secondary).setDisabled(page <= 0),
+    new ButtonBuilder().setCustomId(`history_page:${page + 1}`).setLabel('▶').setStyle(ButtonStyle.Secondary).setDisabled(page >= pages - 1)
+  );
+  return { embeds: [embed], components: [row] };
 }
 
-async function refreshPanelEmbed() {
+// /cardadmin search results; the filters ride along in the page buttons' custom ids
+const CARD_ADMIN_PAGE_SIZE = 10;
+async function buildCardAdminSearchView(guildId, filters, page = 0, locale) {
+  const { total } = await searchGuildCards(guildId, filters, 0);
+  const pages = Math.max(1, Math.ceil(total / CARD_ADMIN_PAGE_SIZE));
+  page = Math.min(Math.max(0, Number(page) || 0), pages - 1);
+  const { rows } = await searchGuildCards(guildId, filters, CARD_ADMIN_PAGE_SIZE, page * CARD_ADMIN_PAGE_SIZE);
+  const lines = rows.map(r => t(locale, 'cardadmin.line', {
+    card: cardLabel(r), user: r.user_id, status: t(locale, `status.${r.status || 'active'}`),
+    ago: formatLastClaimAgo(r.last_claim_ts, locale), n: r.claim_retry || 0
+  }));
+  const embed = new EmbedBuilder()
+    .setTitle(t(locale, 'cardadmin.title'))
+    .setColor(0x2F3136)
+    .setDescription(lines.length ? lines.join('\n') : t(locale, 'cardadmin.empty'))
+    .setFooter({ text: `${t(locale, 'common.page', { page: page + 1, pages })} — ${t(locale, 'cardadmin.count', { n: total })} — ${t(locale, 'common.footer')}` });
+  const key = `${filters.userId || ''}:${filters.status || ''}:${filters.query || ''}`;
+  const row = new ActionRowBuilder().addComponents(
+    new ButtonBuilder().setCustomId(`cardadmin_page:${page - 1}:${key}`).setLabel('◀').setStyle(ButtonStyle.Secondary).setDisabled(page <= 0),
+    new ButtonBuilder().setCustomId(`cardadmin_page:${page + 1}:${key}`).setLabel('▶').setStyle(ButtonStyle.Secondary).setDisabled(page >= pages - 1)
+  );
+  return { embeds: [embed], components: [row] };
+}
+
+// /linkrequests list, paged like /history
+const LINK_REQUESTS_PAGE_SIZE = 10;
+async function buildLinkRequestsView(guildId, page = 0, locale) {
+  const total = await countPendingLinkRequests(guildId);
+  const pages = Math.max(1, Math.ceil(total / LINK_REQUESTS_PAGE_SIZE));
+  page = Math.min(Math.max(0, Number(page) || 0), pages - 1);
+  const rows = await listPendingLinkRequests(guildId, LINK_REQUESTS_PAGE_SIZE, page * LINK_REQUESTS_PAGE_SIZE);
+  const lines = rows.map(r => t(locale, 'linkrequests.line', {
+    id: r.id, card: String(r.card_id).slice(0, 6).toUpperCase(), owner: r.owner_id, requester: r.requester_id,
+    when: `<t:${r.created_ts}:R>`, challenge: r.challenge_amount ? t(locale, 'linkrequests.challenge_sent') : ''
+  }));
+  const embed = new EmbedBuilder()
+    .setTitle(t(locale, 'linkrequests.title'))
+    .setColor(0x2F3136)
+    .setDescription(lines.length ? lines.join('\n') : t(locale, 'linkrequests.empty'))
+    .setFooter({ text: `${t(locale, 'common.page', { page: page + 1, pages })} — ${t(locale, 'common.footer')}` });
+  const row = new ActionRowBuilder().addComponents(
+    new ButtonBuilder().setCustomId(`linkrequests_page:${page - 1}`).setLabel('◀').setStyle(ButtonStyle.Secondary).setDisabled(page <= 0),
+    new ButtonBuilder().setCustomId(`linkrequests_page:${page + 1}`).setLabel('▶').setStyle(ButtonStyle.Secondary).setDisabled(page >= pages - 1)
+  );
+  return { embeds: [embed], components: [row] };
+}
+
+async function buildCardInspectEmbed(card, locale) {
+  const claims = await listCardClaims(card.card_id, 5);
+  const lines = claims.map(l => `<t:${l.ts}:f> ${l.error && !(l.amount > 0) ? l.error : `+${formatCoins(l.amount)}${l.tax > 0
+    ? ` ${t(locale, 'history.tax', { amount: formatCoins(l.tax), status: taxStatusLabel(l.tax_status, locale) })}` : ''}`}`);
+  return new EmbedBuilder()
+    .setTitle(t(locale, 'inspect.title', { card: cardLabel(card) }))
+    .setColor(0x2F3136)
+    .addFields(
+      { name: t(locale, 'inspect.owner'), value: `<@${card.user_id}>`, inline: true },
+      { name: t(locale, 'inspect.status'), value: t(locale, `status.${card.status || 'active'}`), inline: true },
+      { name: t(locale, 'inspect.retries'), value: String(card.claim_retry || 0), inline: true },
+      { name: t(locale, 'inspect.last_claim'), value: formatLastClaimAgo(card.last_claim_ts, locale), inline: true },
+      { name: t(locale, 'inspect.next_claim'), value: card.next_claim_ts ? `<t:${card.next_claim_ts}:R>` : t(locale, 'common.now'), inline: true },
+      { name: t(locale, 'inspect.tax_debt'), value: formatCoins(card.tax_debt || 0), inline: true },
+      { name: t(locale, 'inspect.tax_deferred'), value: formatCoins(card.tax_deferred || 0), inline: true },
+      { name: t(locale, 'inspect.sweep_pending'), value: formatCoins(card.sweep_pending || 0), inline: true },
+      { name: t(locale, 'inspect.last_error'), value: card.last_error || '—', inline: false },
+      { name: t(locale, 'inspect.recent'), value: lines.length ? lines.join('\n') : t(locale, 'common.none'), inline: false }
+    )
+    .setFooter({ text: t(locale, 'common.footer') });
+}
+
+// export rows never carry card codes, only aliases and masked codes
+function cardExportRow(c) {
+  return {
+    alias: c.alias, card: maskCardCode(decryptCardCode(c.card_enc)), user_id: c.user_id, status: c.status || 'active',
+    last_claim_ts: c.last_claim_ts || 0, next_claim_ts: c.next_claim_ts || 0, claim_retry: c.claim_retry || 0,
+    last_error: c.last_error, tax_debt: c.tax_debt || 0, tax_deferred: c.tax_deferred || 0, sweep_pending: c.sweep_pending || 0
+  };
+}
+// the owner's own export keeps the full code so the file can be fed back to /importcards
+const USER_EXPORT_COLUMNS = ['code', 'alias', 'status', 'last_claim_ts', 'next_claim_ts', 'tax_debt', 'last_error'];
+const IMPORT_RESULTS = ['created', 'claimed', 'already_yours', 'owned_by_other', 'invalid', 'duplicate'];
+
+function buildImportReport(results, locale) {
+  const label = (result) => t(locale, `import.result.${result}`);
+  const counts = {};
+  for (const r of results) counts[r.result] = (counts[r.result] || 0) + 1;
+  const summary = IMPORT_RESULTS.filter(k => counts[k]).map(k => `${label(k)}: ${counts[k]}`).join(' · ');
+  const problems = results.filter(r => !['created', 'claimed', 'already_yours'].includes(r.result));
+  const lines = problems.slice(0, 15).map(r => t(locale, 'import.line', { line: r.line, card: maskCardCode(r.code), result: label(r.result) }));
+  if (problems.length > lines.length) lines.push(t(locale, 'import.more', { n: problems.length - lines.length }));
+  if (counts.owned_by_other) lines.push(t(locale, 'import.owned_hint'));
+  const rows = results.map(r => ({ line: r.line, card: r.card ? cardLabel(r.card) : maskCardCode(r.code), result: label(r.result) }));
+  return {
+    content: [t(locale, 'import.summary', { n: results.length, summary: summary || t(locale, 'import.nothing') }), ...lines].join('\n'),
+    files: results.length ? [new AttachmentBuilder(Buffer.from(toCsv(rows, ['line', 'card', 'result'])), { name: 'import-results.csv' })] : []
+  };
+}
+
+// shared by the attachment and modal paths of /importcards
+async function runCardImport(interaction, text) {
+  const entries = parseCardImport(text);
+  if (entries.length === 0) {
+    await interaction.editReply({ content: t(interaction.locale, 'import.no_codes') });
+    return;
+  }
+  if (entries.length > IMPORT_MAX_CARDS) {
+    await interaction.editReply({ content: t(interaction.locale, 'import.too_many', { n: entries.length, max: IMPORT_MAX_CARDS }) });
+    return;
+  }
+  const results = await importCards(entries, interaction.user.id, interaction.guildId);
+  await interaction.editReply(buildImportReport(results, interaction.locale));
+  if (results.some(r => r.result === 'created' || r.result === 'claimed')) {
+    await refreshPanelEmbed(interaction.guildId);
+    kickClaimScheduler();
+  }
+}
+
+const CARD_EXPORT_COLUMNS = ['alias', 'card', 'user_id', 'status', 'last_claim_ts', 'next_claim_ts', 'claim_retry', 'last_error', 'tax_debt', 'tax_deferred', 'sweep_pending'];
+const CLAIM_EXPORT_COLUMNS = ['id', 'alias', 'user_id', 'ts', 'amount', 'tax', 'tax_status', 'tax_rule', 'error'];
+
+// the application owner (or a member of the owning team) may toggle global maintenance
+async function isBotOwner(userId) {
+  try {
+    const app = client.application?.owner ? client.application : await client.application?.fetch();
+    const owner = app?.owner;
+    if (!owner) return false;
+    return owner.members ? owner.members.has(userId) : owner.id === userId;
+  } catch (e) {
+    log.warn('[discord] could not fetch application owner', e?.message || e);
+    return false;
+  }
+}
+
+// best-effort DM in the user's last seen locale; users with closed DMs are just skipped
+async function notifyUser(userId, key, vars) {
+  try {
+    const content = t(await getUserLocale(userId), key, vars);
+    const user = await client.users.fetch(userId);
+    await user.send(content);
+  } catch (e) {
+    log.warn(`[notify] could not DM user ${userId}`, e?.message || e);
+  }
+}
+
+// DM only when the user opted in to that kind of notification
+async function notifyUserIfOptedIn(userId, pref, key, vars) {
+  const prefs = await getNotifyPrefs(userId).catch(() => null);
+  if (prefs?.[pref]) await notifyUser(userId, key, vars);
+}
+
+// admin alerts go to the guild's configured log channel (/config log_channel), in the guild locale
+async function alertGuild(guildId, key, vars) {
+  if (!guildId) return;
   try {
-    const channelId = await getSetting('panel_channel');
-    const messageId = await getSetting('panel_message');
-    if (!channelId || !messageId) return;
+    const channelId = await getGuildSetting(guildId, 'log_channel');
+    if (!channelId) return;
     const channel = await client.channels.fetch(channelId).catch(()=>null);
-    if (!channel) return;
-    const msg = await channel.messages.fetch(messageId).catch(()=>null);
-    if (!msg) return;
-    const total = (await listAllCards()).length;
-    const embed = buildPanelEmbed(total);
-    await msg.edit({ embeds: [embed] }).catch(e => console.warn('refreshPanelEmbed edit failed', e?.message || e));
+    const content = t(await getGuildLocale(guildId), key, vars);
+    if (channel?.isTextBased()) await channel.send({ content, allowedMentions: { parse: [] } });
   } catch (e) {
-    console.warn('refreshPanelEmbed error', e?.message || e);
+    log.warn(`[notify] could not alert guild ${guildId}`, e?.message || e);
   }
 }
 
+async function notifyCardRemoved(c) {
+  const vars = { card: cardLabel(c), user: c.user_id };
+  await notifyUserIfOptedIn(c.user_id, 'card_removed', 'dm.card_removed', vars);
+  await alertGuild(c.guild_id, 'alert.card_removed', vars);
+}
+
+// fires once, when a card reaches the failure threshold
+async function notifyRepeatedFailure(c, retries, error) {
+  if (retries !== NOTIFY_FAILURE_THRESHOLD) return;
+  const vars = { card: cardLabel(c), user: c.user_id, n: retries, error };
+  await notifyUserIfOptedIn(c.user_id, 'failures', 'dm.repeated_failure', vars);
+  await alertGuild(c.guild_id, 'alert.repeated_failure', vars);
+}
+
+async function notifyCardSuspended(c, retries, error) {
+  const vars = { card: cardLabel(c), user: c.user_id, n: retries, error };
+  await notifyUserIfOptedIn(c.user_id, 'failures', 'dm.suspended', vars);
+  await alertGuild(c.guild_id, 'alert.suspended', vars);
+}
+
+// one DM per DIGEST_INTERVAL_MS summing the claim ledger since the previous digest. The window start
+// is kept in settings, so restarts neither repeat nor drop a digest; the first run only opens a window.
+async function sendEarningsDigests() {
+  const now = Math.floor(Date.now() / 1000);
+  const since = Number(await getSetting('digest_last_ts')) || 0;
+  if (!since) {
+    await saveSetting('digest_last_ts', String(now));
+    return;
+  }
+  if (now - since < Math.floor(DIGEST_INTERVAL_MS / 1000)) return;
+  await saveSetting('digest_last_ts', String(now));
+  for (const e of await listUserEarnings(since, now)) {
+    await notifyUserIfOptedIn(e.user_id, 'digest', 'dm.digest',
+      { since: `<t:${since}:f>`, cards: e.cards, claimed: formatCoins(e.claimed), tax: formatCoins(e.tax), net: formatCoins(e.claimed - e.tax) });
+  }
+}
+
+function buildNotifyView(prefs, locale) {
+  const row = new ActionRowBuilder().addComponents(NOTIFY_KEYS.map(k =>
+    new ButtonBuilder().setCustomId(`notify_toggle:${k}`).setLabel(`${t(locale, `notify.${k}`)}: ${prefs[k] ? 'ON' : 'OFF'}`)
+      .setStyle(prefs[k] ? ButtonStyle.Success : ButtonStyle.Secondary)));
+  return { content: t(locale, 'notify.prompt'), components: [row] };
+}
+
+// card already linked to another user: open (or reuse) a link request and tell both sides
+async function handleLinkConflict(interaction, card, ownerId) {
+  const { request: req, created, reason, retryTs } = await createLinkRequest(card.card_id, interaction.user.id, ownerId, interaction.guildId, {
+    maxPerWindow: LINK_REQUEST_MAX_PER_WINDOW,
+    windowSec: Math.floor(LINK_REQUEST_WINDOW_MS / 1000),
+    cooldownSec: Math.floor(LINK_REQUEST_COOLDOWN_MS / 1000),
+  });
+  if (!req) {
+    await interaction.editReply({ content: t(interaction.locale, `link.${reason}`, { card: cardLabel(card), when: `<t:${retryTs}:R>` }), components: [] });
+    return;
+  }
+  const { receiverCard } = await getGuildTaxConfig(card.guild_id);
+  const row = new ActionRowBuilder().addComponents(
+    new ButtonBuilder().setCustomId(`link_challenge:${req.id}`).setLabel(t(interaction.locale, 'link.prove')).setStyle(ButtonStyle.Primary).setDisabled(!receiverCard)
+  );
+  await interaction.editReply({
+    content: t(interaction.locale, 'link.conflict', { card: cardLabel(card), id: req.id }),
+    components: [row]
+  });
+  if (created) {
+    await notifyUser(ownerId, 'dm.link_request', { requester: interaction.user.id, card: cardLabel(card), id: req.id });
+  }
+}
+
+// approve/verify moves the card; both the requester and the previous owner are told the outcome
+// returns false (and does nothing) when someone else resolved the request first
+async function finishLinkRequest(req, status, resolvedBy) {
+  if (!await resolveLinkRequest(req.id, status, resolvedBy)) return false;
+  const card = await getCardById(req.card_id);
+  const vars = { id: req.id, requester: req.requester_id, card: card ? cardLabel(card) : String(req.card_id).slice(0, 6).toUpperCase() };
+  if (!card && (status === 'approved' || status === 'verified')) {
+    await notifyUser(req.requester_id, 'dm.link_gone', vars);
+    return true;
+  }
+  if (status === 'approved' || status === 'verified') {
+    await reassignCard(req.card_id, req.requester_id, req.guild_id);
+    for (const other of await closeLinkRequestsForCard(req.card_id, req.id, `request:${req.id}`)) {
+      await notifyUser(other.requester_id, 'dm.link_closed', { ...vars, id: other.id });
+    }
+    await refreshPanelEmbed();
+    await notifyUser(req.requester_id, 'dm.link_accepted', vars);
+    await notifyUser(req.owner_id, status === 'verified' ? 'dm.link_moved_verified' : 'dm.link_moved_approved', vars);
+  } else {
+    await notifyUser(req.requester_id, 'dm.link_rejected', vars);
+    await notifyUser(req.owner_id, 'dm.link_rejected_owner', vars);
+  }
+  return true;
+}
+
+// refreshes one guild's panel, or every guild's panel when guildId is omitted
+// callers fire this freely: requests are collected and each panel is edited at most once per
+// PANEL_REFRESH_DEBOUNCE_MS, which keeps us under Discord's message edit rate limits
+const panelRefreshQueue = new Set(); // guild ids waiting for an edit
+let panelRefreshAll = false;
+let panelRefreshTimer = null;
+function refreshPanelEmbed(guildId) {
+  if (guildId) panelRefreshQueue.add(guildId);
+  else panelRefreshAll = true;
+  if (!panelRefreshTimer && !shuttingDown && client.isReady()) {
+    panelRefreshTimer = setTimeout(() => {
+      panelRefreshTimer = null;
+      flushPanelRefresh().catch(e => log.warn('refreshPanelEmbed error', e?.message || e));
+    }, PANEL_REFRESH_DEBOUNCE_MS);
+  }
+  return Promise.resolve();
+}
+
+async function flushPanelRefresh() {
+  const guildIds = panelRefreshAll ? await listGuildsWithSetting('panel_message').catch(() => []) : [...panelRefreshQueue];
+  panelRefreshQueue.clear();
+  panelRefreshAll = false;
+  if (!client.isReady()) return;
+  for (const gid of guildIds) {
+    try {
+      const channelId = await getGuildSetting(gid, 'panel_channel');
+      const messageId = await getGuildSetting(gid, 'panel_message');
+      if (!channelId || !messageId) continue;
+      const channel = await client.channels.fetch(channelId).catch(()=>null);
+      if (!channel) continue;
+      const msg = await channel.messages.fetch(messageId).catch(()=>null);
+      if (!msg) continue;
+      const locale = await getGuildLocale(gid);
+      const embed = await buildPanelEmbed(gid, locale);
+      // components too, so panels created by older versions (or before a /config locale change) get the current buttons
+      await msg.edit({ embeds: [embed], components: buildPanelButtons(locale) }).catch(e => log.warn('refreshPanelEmbed edit failed', e?.message || e));
+    } catch (e) {
+      log.warn('refreshPanelEmbed error', e?.message || e);
+    }
+  }
+}
+
+// panels created before per-guild settings were stored globally; move them under their guild
+async function migrateLegacyPanelSettings() {
+  const channelId = await getSetting('panel_channel');
+  const messageId = await getSetting('panel_message');
+  if (!channelId || !messageId) return;
+  const channel = await client.channels.fetch(channelId).catch(()=>null);
+  if (!channel?.guildId) return;
+  await saveGuildSetting(channel.guildId, 'panel_channel', channelId);
+  await saveGuildSetting(channel.guildId, 'panel_message', messageId);
+  await deleteSetting('panel_channel');
+  await deleteSetting('panel_message');
+  log.info(`[config] moved legacy panel settings to guild ${channel.guildId}`);
+}
+
 client.once(Events.ClientReady, async () => {
-  console.log('Bot logged in as', client.user.tag);
+  log.info('Bot logged in as', client.user.tag);
   await registerSlashCommands().catch(()=>{});
-  // refresh panel on start
+  await migrateLegacyPanelSettings().catch(e => log.warn('legacy panel migration failed', e?.message || e));
+  // refresh panels on start
   refreshPanelEmbed().catch(()=>{});
 });
 
 client.on(Events.InteractionCreate, async interaction => {
+  // replies follow the Discord client language of whoever interacted
+  const tr = (key, vars) => t(interaction.locale, key, vars);
+  rememberUserLocale(interaction.user.id, interaction.locale);
   try {
     // Slash commands
     if (interaction.isChatInputCommand()) {
@@ -336,12 +1713,17 @@ client.on(Events.InteractionCreate, async interaction => {
         const card = interaction.options.getString('card', true).trim();
         await interaction.deferReply({ ephemeral: true }).catch(()=>{});
         try {
-          const res = await addOrUpdateCard(card, interaction.user.id);
-          await interaction.editReply({ content: `Card ${card} linked to your user. (${res.created ? 'created' : 'updated'})` });
-          await refreshPanelEmbed();
+          const res = await addOrUpdateCard(card, interaction.user.id, interaction.guildId);
+          if (res.conflict) {
+            await handleLinkConflict(interaction, res.card, res.ownerId);
+            return;
+          }
+          await interaction.editReply({ content: tr('linkcard.linked', { card: cardLabel(res.card), result: tr(res.created ? 'linkcard.created' : 'linkcard.updated') }) });
+          await refreshPanelEmbed(interaction.guildId);
+          kickClaimScheduler();
         } catch (e) {
-          console.error('linkcard error', e);
-          await interaction.editReply({ content: `Error linking card: ${e.message || e}` });
+          log.error('linkcard error', e);
+          await interaction.editReply({ content: tr('linkcard.error', { error: e.message || e }) });
         }
         return;
       }
@@ -351,12 +1733,53 @@ client.on(Events.InteractionCreate, async interaction => {
         try {
           const res = await removeCard(card, interaction.user.id);
           if (res.ok) {
-            await interaction.editReply({ content: `Card ${card} unlinked.` });
-            await refreshPanelEmbed();
-          } else await interaction.editReply({ content: `Cannot unlink card: ${res.reason}` });
+            await interaction.editReply({ content: tr('unlinkcard.done', { card: cardLabel(res.card) }) });
+            await refreshPanelEmbed(interaction.guildId);
+          } else await interaction.editReply({ content: tr('unlinkcard.failed', { reason: tr(`unlinkcard.reason.${res.reason}`) }) });
         } catch (e) {
-          console.error('unlinkcard error', e);
-          await interaction.editReply({ content: `Error unlinking card: ${e.message || e}` });
+          log.error('unlinkcard error', e);
+          await interaction.editReply({ content: tr('unlinkcard.error', { error: e.message || e }) });
+        }
+        return;
+      }
+      if (cmd === 'importcards') {
+        const file = interaction.options.getAttachment('file');
+        if (!file) {
+          const modal = new ModalBuilder().setCustomId('modal_import_cards').setTitle(tr('import.modal.title'));
+          const input = new TextInputBuilder().setCustomId('cards_input').setLabel(tr('import.modal.label')).setStyle(TextInputStyle.Paragraph)
+            .setPlaceholder('1f6c293c3951\n9a0b1c2d3e4f').setRequired(true).setMaxLength(4000);
+          modal.addComponents(new ActionRowBuilder().addComponents(input));
+          await interaction.showModal(modal);
+          return;
+        }
+        await interaction.deferReply({ ephemeral: true }).catch(()=>{});
+        try {
+          if (file.size > IMPORT_MAX_BYTES || !/\.(txt|csv)$/i.test(file.name || '')) {
+            await interaction.editReply({ content: tr('import.bad_file', { kb: IMPORT_MAX_BYTES / 1024 }) });
+            return;
+          }
+          const res = await axios.get(file.url, { responseType: 'text', timeout: API_TIMEOUT_MS, maxContentLength: IMPORT_MAX_BYTES });
+          await runCardImport(interaction, res.data);
+        } catch (e) {
+          log.error('importcards error', e);
+          await interaction.editReply({ content: tr('import.error', { error: e.message || e }) });
+        }
+        return;
+      }
+      if (cmd === 'exportcards') {
+        await interaction.deferReply({ ephemeral: true }).catch(()=>{});
+        try {
+          const rows = await listUserCards(interaction.user.id);
+          if (!rows || rows.length === 0) {
+            await interaction.editReply({ content: tr('common.no_cards') });
+            return;
+          }
+          const cards = rows.map(c => ({ ...cardExportRow(c), code: decryptCardCode(c.card_enc) }));
+          const file = new AttachmentBuilder(Buffer.from(toCsv(cards, USER_EXPORT_COLUMNS)), { name: `my-cards-${new Date().toISOString().slice(0, 10)}.csv` });
+          await interaction.editReply({ content: tr('export.done', { n: cards.length }), files: [file] });
+        } catch (e) {
+          log.error('exportcards error', e);
+          await interaction.editReply({ content: tr('export.error', { error: e.message || e }) });
         }
         return;
       }
@@ -365,21 +1788,26 @@ client.on(Events.InteractionCreate, async interaction => {
         try {
           const rows = await listUserCards(interaction.user.id);
           if (!rows || rows.length === 0) {
-            await interaction.editReply({ content: 'You have no linked cards.' });
+            await interaction.editReply({ content: tr('common.no_cards') });
           } else {
             // build embed ephemeral
-            const embed = new EmbedBuilder()
-              .setTitle(`${interaction.user.username} — Meus Cards`)
-              .setColor(0x5865F2)
-              .setFooter({ text: 'Painel de registro de cartões - Coin System' });
-            rows.forEach(r => {
-              embed.addFields({ name: r.card_code, value: `last claim: ${formatLastClaimAgo(r.last_claim_ts)}\nretries: ${r.claim_retry || 0}`, inline: false });
-            });
-            await interaction.editReply({ embeds: [embed] });
+            await interaction.editReply(await buildMyCardsView(interaction.user, rows, interaction.locale));
           }
         } catch (e) {
-          console.error('mycards error', e);
-          await interaction.editReply({ content: `Error listing cards: ${e.message || e}` });
+          log.error('mycards error', e);
+          await interaction.editReply({ content: tr('mycards.error', { error: e.message || e }) });
+        }
+        return;
+      }
+
+      if (cmd === 'history') {
+        await interaction.deferReply({ ephemeral: true }).catch(()=>{});
+        try {
+          const page = (interaction.options.getInteger('page') || 1) - 1;
+          await interaction.editReply(await buildHistoryView(interaction.user, page, interaction.locale));
+        } catch (e) {
+          log.error('history error', e);
+          await interaction.editReply({ content: tr('history.error', { error: e.message || e }) });
         }
         return;
       }
@@ -387,37 +1815,476 @@ client.on(Events.InteractionCreate, async interaction => {
       // admin commands
       if (cmd === 'createpanel') {
         if (!interaction.memberPermissions || !interaction.memberPermissions.has(PermissionFlagsBits.ManageGuild)) {
-          await interaction.reply({ content: 'Você precisa de permissão Manage Guild para usar este comando.', ephemeral: true });
+          await interaction.reply({ content: tr('common.need_manage_guild'), ephemeral: true });
           return;
         }
         await interaction.deferReply({ ephemeral: false }).catch(()=>{});
         try {
-          const total = (await listAllCards()).length;
-          const embed = buildPanelEmbed(total);
-          const components = buildPanelButtons();
+          const locale = await getGuildLocale(interaction.guildId);
+          const embed = await buildPanelEmbed(interaction.guildId, locale);
+          const components = buildPanelButtons(locale);
           const msg = await interaction.channel.send({ embeds: [embed], components });
-          await saveSetting('panel_channel', msg.channelId);
-          await saveSetting('panel_message', msg.id);
-          await interaction.editReply({ content: 'Painel criado com sucesso neste canal.' });
+          await saveGuildSetting(interaction.guildId, 'panel_channel', msg.channelId);
+          await saveGuildSetting(interaction.guildId, 'panel_message', msg.id);
+          await logAudit(interaction.guildId, interaction.user.id, 'create_panel', msg.channelId);
+          await interaction.editReply({ content: tr('panel.created') });
         } catch (e) {
-          console.error('createpanel error', e);
-          try { await interaction.editReply({ content: `Erro ao criar painel: ${e.message || e}` }); } catch(_) {}
+          log.error('createpanel error', e);
+          try { await interaction.editReply({ content: tr('panel.create_error', { error: e.message || e }) }); } catch(_) {}
         }
         return;
       }
 
       if (cmd === 'forcelaim') {
         if (!interaction.memberPermissions || !interaction.memberPermissions.has(PermissionFlagsBits.ManageGuild)) {
-          await interaction.reply({ content: 'Você precisa de permissão Manage Guild para usar este comando.', ephemeral: true });
+          await interaction.reply({ content: tr('common.need_manage_guild'), ephemeral: true });
+          return;
+        }
+        await interaction.deferReply({ ephemeral: true }).catch(()=>{});
+        try {
+          const opts = { force: true, guildId: interaction.guildId };
+          const cardRef = interaction.options.getString('card');
+          const target = interaction.options.getUser('user');
+          if (cardRef) {
+            const card = await findCardByRef(cardRef);
+            if (!card || card.guild_id !== interaction.guildId) {
+              await interaction.editReply({ content: tr('common.card_not_found_guild') });
+              return;
+            }
+            opts.cardId = card.card_id;
+          }
+          if (target) opts.userId = target.id;
+          await logAudit(interaction.guildId, interaction.user.id, 'force_claim', null, { card: opts.cardId ? cardRef : undefined, user: opts.userId });
+          const res = await runClaimsPass(opts);
+          let content = tr('forcelaim.done', { n: res?.processed || 0 });
+          if (res?.queued) content = tr('forcelaim.queued');
+          else if (res?.maintenance) content = tr('forcelaim.maintenance');
+          else if (!res?.processed) content = tr('forcelaim.none');
+          await interaction.editReply({ content });
+        } catch (e) {
+          log.error('forcelaim error', e);
+          await interaction.editReply({ content: tr('common.error', { error: e.message || e }) });
+        }
+        return;
+      }
+
+      if (cmd === 'taxreport') {
+        if (!interaction.memberPermissions || !interaction.memberPermissions.has(PermissionFlagsBits.ManageGuild)) {
+          await interaction.reply({ content: tr('common.need_manage_guild'), ephemeral: true });
+          return;
+        }
+        await interaction.deferReply({ ephemeral: true }).catch(()=>{});
+        try {
+          const rows = await getTaxReport(interaction.guildId);
+          const limit = await getTaxDebtLimit(interaction.guildId);
+          const totalCollected = rows.reduce((a, r) => a + r.collected, 0);
+          const totalOutstanding = rows.reduce((a, r) => a + r.outstanding, 0);
+          const totalDeferred = rows.reduce((a, r) => a + r.deferred, 0);
+          const lines = rows.slice(0, 25).map(r =>
+            tr('taxreport.line', {
+              user: r.user_id, collected: formatCoins(r.collected), outstanding: formatCoins(r.outstanding),
+              cards: r.debt_cards ? tr('taxreport.cards', { n: r.debt_cards }) : '',
+              deferred: r.deferred > 0 ? tr('taxreport.deferred', { amount: formatCoins(r.deferred) }) : ''
+            }));
+          const embed = new EmbedBuilder()
+            .setTitle(tr('taxreport.title'))
+            .setColor(0x2F3136)
+            .setDescription(lines.length ? lines.join('\n') : tr('taxreport.empty'))
+            .addFields(
+              { name: tr('taxreport.total_collected'), value: formatCoins(totalCollected), inline: true },
+              { name: tr('taxreport.total_outstanding'), value: formatCoins(totalOutstanding), inline: true },
+              { name: tr('taxreport.total_deferred'), value: formatCoins(totalDeferred), inline: true },
+              { name: tr('taxreport.debt_limit'), value: limit > 0 ? formatCoins(limit) : tr('taxreport.off'), inline: true }
+            )
+            .setFooter({ text: tr('common.footer') });
+          await interaction.editReply({ embeds: [embed] });
+        } catch (e) {
+          log.error('taxreport error', e);
+          await interaction.editReply({ content: tr('common.error', { error: e.message || e }) });
+        }
+        return;
+      }
+
+      if (cmd === 'taxpolicy') {
+        if (!interaction.memberPermissions || !interaction.memberPermissions.has(PermissionFlagsBits.ManageGuild)) {
+          await interaction.reply({ content: tr('common.need_manage_guild'), ephemeral: true });
           return;
         }
+        const limit = interaction.options.getNumber('debt_limit', true);
         await interaction.deferReply({ ephemeral: true }).catch(()=>{});
         try {
-          await runClaimsPass();
-          await interaction.editReply({ content: 'Rodada de claims forçada executada.' });
+          await saveGuildSetting(interaction.guildId, 'tax_debt_limit', String(limit));
+          await logAudit(interaction.guildId, interaction.user.id, 'tax_policy', null, { debt_limit: limit });
+          await interaction.editReply({ content: limit > 0
+            ? tr('taxpolicy.on', { limit: formatCoins(limit) })
+            : tr('taxpolicy.off') });
         } catch (e) {
-          console.error('forcelaim error', e);
-          await interaction.editReply({ content: `Erro: ${e.message || e}` });
+          log.error('taxpolicy error', e);
+          await interaction.editReply({ content: tr('common.error', { error: e.message || e }) });
+        }
+        return;
+      }
+
+      if (cmd === 'config') {
+        if (!interaction.memberPermissions || !interaction.memberPermissions.has(PermissionFlagsBits.ManageGuild)) {
+          await interaction.reply({ content: tr('common.need_manage_guild'), ephemeral: true });
+          return;
+        }
+        if (!interaction.guildId) {
+          await interaction.reply({ content: tr('common.guild_only'), ephemeral: true });
+          return;
+        }
+        await interaction.deferReply({ ephemeral: true }).catch(()=>{});
+        try {
+          const pct = interaction.options.getNumber('tax_percent');
+          const receiver = interaction.options.getString('receiver_card')?.trim();
+          const logChannel = interaction.options.getChannel('log_channel');
+          const locale = interaction.options.getString('locale');
+          if (pct !== null) await saveGuildSetting(interaction.guildId, 'tax_percent', String(pct / 100));
+          if (logChannel) await saveGuildSetting(interaction.guildId, 'log_channel', logChannel.id);
+          if (locale) await saveGuildSetting(interaction.guildId, 'locale', resolveLocale(locale));
+          if (receiver) {
+            if (receiver.toLowerCase() === 'none') await deleteGuildSetting(interaction.guildId, 'receiver_card');
+            else await saveGuildSetting(interaction.guildId, 'receiver_card', encryptCardCode(receiver));
+          }
+          if (pct !== null || logChannel || receiver || locale) {
+            await logAudit(interaction.guildId, interaction.user.id, 'config', null, {
+              tax_percent: pct ?? undefined, log_channel: logChannel?.id, locale: locale || undefined,
+              receiver_card: receiver ? (receiver.toLowerCase() === 'none' ? 'none' : maskCardCode(receiver)) : undefined
+            });
+          }
+          // the panel is rendered in the guild locale
+          if (locale) await refreshPanelEmbed(interaction.guildId);
+          const cfg = await getGuildTaxConfig(interaction.guildId);
+          const logChannelId = await getGuildSetting(interaction.guildId, 'log_channel');
+          const embed = new EmbedBuilder()
+            .setTitle(tr('config.title'))
+            .setColor(0x2F3136)
+            .addFields(
+              { name: tr('config.tax'), value: `${Number((cfg.taxPercent * 100).toFixed(4))}%`, inline: true },
+              { name: tr('config.receiver'), value: cfg.receiverCard ? maskCardCode(cfg.receiverCard) : tr('common.not_set'), inline: true },
+              { name: tr('panel.cards'), value: String(await countGuildCards(interaction.guildId)), inline: true },
+              { name: tr('config.log_channel'), value: logChannelId ? `<#${logChannelId}>` : tr('common.not_set'), inline: true },
+              { name: tr('config.locale'), value: await getGuildLocale(interaction.guildId), inline: true }
+            )
+            .setFooter({ text: tr('common.footer') });
+          await interaction.editReply({ embeds: [embed] });
+        } catch (e) {
+          log.error('config error', e);
+          await interaction.editReply({ content: tr('common.error', { error: e.message || e }) });
+        }
+        return;
+      }
+
+      if (cmd === 'schedule') {
+        if (!interaction.memberPermissions || !interaction.memberPermissions.has(PermissionFlagsBits.ManageGuild)) {
+          await interaction.reply({ content: tr('common.need_manage_guild'), ephemeral: true });
+          return;
+        }
+        if (!interaction.guildId) {
+          await interaction.reply({ content: tr('common.guild_only'), ephemeral: true });
+          return;
+        }
+        await interaction.deferReply({ ephemeral: true }).catch(()=>{});
+        try {
+          const sub = interaction.options.getSubcommand();
+          const guildId = interaction.guildId;
+          if (sub === 'cron') {
+            const expr = interaction.options.getString('expression').trim();
+            if (!cron.validate(expr)) {
+              await interaction.editReply({ content: tr('schedule.bad_cron', { expr }) });
+              return;
+            }
+            await saveGuildSetting(guildId, 'claim_cron', expr);
+          } else if (sub === 'quiet') {
+            const window = interaction.options.getString('window').trim();
+            if (!parseQuietWindow(window)) {
+              await interaction.editReply({ content: tr('schedule.bad_window') });
+              return;
+            }
+            const { quietWindows } = await getGuildSchedule(guildId);
+            await saveGuildSetting(guildId, 'quiet_windows', JSON.stringify([...new Set([...quietWindows, window])]));
+          } else if (sub === 'timezone') {
+            const tz = interaction.options.getString('name').trim();
+            if (!isValidTimezone(tz)) {
+              await interaction.editReply({ content: tr('schedule.bad_timezone', { tz }) });
+              return;
+            }
+            await saveGuildSetting(guildId, 'schedule_tz', tz);
+          } else if (sub === 'clear') {
+            await deleteGuildSetting(guildId, 'claim_cron');
+            await deleteGuildSetting(guildId, 'quiet_windows');
+          }
+          if (sub !== 'show') {
+            log.info(`[schedule] guild ${guildId} ${sub} by ${interaction.user.id}`);
+            await logAudit(guildId, interaction.user.id, `schedule_${sub}`, null,
+              sub === 'clear' ? null : { value: interaction.options.getString(sub === 'cron' ? 'expression' : sub === 'quiet' ? 'window' : 'name') });
+            await syncCronTasks();
+            await rescheduleGuildCards(guildId, Math.floor(Date.now() / 1000));
+            kickClaimScheduler();
+          }
+          const sched = await getGuildSchedule(guildId);
+          const nextRun = cronTasks.get(guildId)?.getNextRun();
+          const cronValue = sched.cron
+            ? `\`${sched.cron}\`${nextRun ? tr('schedule.cron_next', { when: `<t:${Math.floor(nextRun.getTime() / 1000)}:R>` }) : ''}`
+            : tr('schedule.cron_unset', { interval: msToHuman(CLAIM_INTERVAL_MS) });
+          const embed = new EmbedBuilder()
+            .setTitle(tr('schedule.title'))
+            .setColor(0x2F3136)
+            .addFields(
+              { name: tr('schedule.cron'), value: cronValue, inline: false },
+              { name: tr('schedule.quiet'), value: sched.quietWindows.length ? sched.quietWindows.join(', ') : tr('common.none'), inline: true },
+              { name: tr('schedule.timezone'), value: sched.timezone, inline: true },
+              { name: tr('schedule.status'), value: (await isMaintenance()) ? tr('schedule.status_maintenance') : sched.paused ? tr('panel.paused') : tr('schedule.status_active'), inline: true }
+            )
+            .setFooter({ text: tr('common.footer') });
+          await interaction.editReply({ embeds: [embed] });
+        } catch (e) {
+          log.error('schedule error', e);
+          await interaction.editReply({ content: tr('common.error', { error: e.message || e }) });
+        }
+        return;
+      }
+
+      // /pause and /resume: one card (its owner or a server admin), the whole server (admin) or global maintenance (bot owner)
+      if (cmd === 'pause' || cmd === 'resume') {
+        const pause = cmd === 'pause';
+        await interaction.deferReply({ ephemeral: true }).catch(()=>{});
+        try {
+          const cardRef = interaction.options.getString('card');
+          if (interaction.options.getBoolean('global')) {
+            if (!(await isBotOwner(interaction.user.id))) {
+              await interaction.editReply({ content: tr('pause.owner_only') });
+              return;
+            }
+            if (pause) await saveSetting('maintenance', '1');
+            else await deleteSetting('maintenance');
+            await logAudit(interaction.guildId, interaction.user.id, `${cmd}_global`);
+            log.info(`[claims] maintenance mode ${pause ? 'on' : 'off'} (by ${interaction.user.id})`);
+            await interaction.editReply({ content: tr(pause ? 'pause.maintenance_on' : 'pause.maintenance_off') });
+          } else if (cardRef) {
+            const card = await findCardByRef(cardRef);
+            const isAdmin = !!interaction.memberPermissions?.has(PermissionFlagsBits.ManageGuild) && card?.guild_id === interaction.guildId;
+            if (!card || (card.user_id !== interaction.user.id && !isAdmin)) {
+              await interaction.editReply({ content: tr('common.card_not_found') });
+              return;
+            }
+            if (card.status === 'disabled' && !isAdmin) {
+              await interaction.editReply({ content: tr('common.card_disabled') });
+              return;
+            }
+            if (pause) await setCardStatus(card.card_id, 'paused');
+            else await reactivateCard(card.card_id);
+            if (card.user_id !== interaction.user.id) await logAudit(interaction.guildId, interaction.user.id, cmd, card.alias, { owner: card.user_id });
+            log.info(`[claims] card ${cardLabel(card)} ${pause ? 'paused' : 'resumed'} by ${interaction.user.id}`);
+            await interaction.editReply({ content: tr(pause ? 'pause.card_paused' : 'pause.card_resumed', { card: cardLabel(card) }) });
+          } else {
+            if (!interaction.guildId) {
+              await interaction.editReply({ content: tr('common.guild_only') });
+              return;
+            }
+            if (!interaction.memberPermissions || !interaction.memberPermissions.has(PermissionFlagsBits.ManageGuild)) {
+              await interaction.editReply({ content: tr('pause.need_manage_guild') });
+              return;
+            }
+            if (pause) await saveGuildSetting(interaction.guildId, 'claims_paused', '1');
+            else await deleteGuildSetting(interaction.guildId, 'claims_paused');
+            await logAudit(interaction.guildId, interaction.user.id, `${cmd}_server`);
+            log.info(`[claims] guild ${interaction.guildId} ${pause ? 'paused' : 'resumed'} by ${interaction.user.id}`);
+            await interaction.editReply({ content: tr(pause ? 'pause.server_paused' : 'pause.server_resumed') });
+          }
+          if (!pause) kickClaimScheduler();
+        } catch (e) {
+          log.error(`${cmd} error`, e);
+          await interaction.editReply({ content: tr('common.error', { error: e.message || e }) });
+        }
+        return;
+      }
+
+      if (cmd === 'taxrule') {
+        if (!interaction.memberPermissions || !interaction.memberPermissions.has(PermissionFlagsBits.ManageGuild)) {
+          await interaction.reply({ content: tr('common.need_manage_guild'), ephemeral: true });
+          return;
+        }
+        if (!interaction.guildId) {
+          await interaction.reply({ content: tr('common.guild_only'), ephemeral: true });
+          return;
+        }
+        await interaction.deferReply({ ephemeral: true }).catch(()=>{});
+        try {
+          const sub = interaction.options.getSubcommand();
+          if (sub === 'list') {
+            const rules = await listTaxRules(interaction.guildId);
+            const { taxPercent } = await getGuildTaxConfig(interaction.guildId);
+            const lines = rules.map(r => {
+              const vars = { id: r.id, role: r.role_id, rate: formatRate(r.rate), upTo: formatCoins(r.up_to) };
+              if (r.kind === 'exempt') return tr('taxrule.exempt', vars);
+              if (r.kind === 'role') return tr('taxrule.role', vars);
+              return tr(r.up_to === null ? 'taxrule.bracket_top' : 'taxrule.bracket', vars);
+            });
+            lines.push(tr('taxrule.default', { rate: formatRate(taxPercent) }));
+            await interaction.editReply({ content: lines.join('\n') });
+            return;
+          }
+          if (sub === 'remove') {
+            const ok = await removeTaxRule(interaction.guildId, interaction.options.getInteger('id', true));
+            if (ok) await logAudit(interaction.guildId, interaction.user.id, 'tax_rule_remove', `#${interaction.options.getInteger('id', true)}`);
+            await interaction.editReply({ content: tr(ok ? 'taxrule.removed' : 'taxrule.not_found') });
+            return;
+          }
+          const rule = { kind: sub };
+          if (sub === 'exempt' || sub === 'role') rule.roleId = interaction.options.getRole('role', true).id;
+          if (sub === 'role' || sub === 'bracket') rule.rate = interaction.options.getNumber('rate', true) / 100;
+          if (sub === 'bracket') rule.upTo = interaction.options.getNumber('up_to');
+          const id = await addTaxRule(interaction.guildId, rule, interaction.user.id);
+          await logAudit(interaction.guildId, interaction.user.id, 'tax_rule_add', `#${id}`, rule);
+          await interaction.editReply({ content: tr('taxrule.created', { id }) });
+        } catch (e) {
+          log.error('taxrule error', e);
+          await interaction.editReply({ content: tr('common.error', { error: e.message || e }) });
+        }
+        return;
+      }
+
+      if (cmd === 'cardadmin') {
+        if (!interaction.memberPermissions || !interaction.memberPermissions.has(PermissionFlagsBits.ManageGuild)) {
+          await interaction.reply({ content: tr('common.need_manage_guild'), ephemeral: true });
+          return;
+        }
+        if (!interaction.guildId) {
+          await interaction.reply({ content: tr('common.guild_only'), ephemeral: true });
+          return;
+        }
+        await interaction.deferReply({ ephemeral: true }).catch(()=>{});
+        try {
+          const sub = interaction.options.getSubcommand();
+          const guildId = interaction.guildId;
+          const actor = interaction.user.id;
+          if (sub === 'search') {
+            const filters = {
+              userId: interaction.options.getUser('user')?.id || null,
+              status: interaction.options.getString('status'),
+              query: interaction.options.getString('query')?.trim().slice(0, 20) || null
+            };
+            // admin reads are audited too: they expose other members' cards
+            await logAudit(guildId, actor, 'search', null, Object.fromEntries(Object.entries(filters).filter(([, v]) => v)));
+            await interaction.editReply(await buildCardAdminSearchView(guildId, filters, 0, interaction.locale));
+            return;
+          }
+          if (sub === 'audit') {
+            const pageSize = 15;
+            const pages = Math.max(1, Math.ceil((await countAuditLog(guildId)) / pageSize));
+            const page = Math.min(Math.max(1, interaction.options.getInteger('page') || 1), pages);
+            await logAudit(guildId, actor, 'audit', null, { page });
+            const rows = await listAuditLog(guildId, pageSize, (page - 1) * pageSize);
+            // details are trimmed so a full page stays within the 4096-char embed description
+            const lines = rows.map(r => `<t:${r.ts}:f> <@${r.actor_id}> **${r.action}**${r.target ? ` ${r.target}` : ''}${r.details
+              ? ` — \`${r.details.length > 150 ? `${r.details.slice(0, 149)}…` : r.details}\`` : ''}`);
+            const embed = new EmbedBuilder()
+              .setTitle(tr('cardadmin.audit_title'))
+              .setDescription((lines.length ? lines.join('\n') : tr('cardadmin.audit_empty')).slice(0, 4096))
+              .setFooter({ text: tr('common.page', { page, pages }) })
+              .setColor(0x2F3136);
+            await interaction.editReply({ embeds: [embed] });
+            return;
+          }
+          if (sub === 'export') {
+            const format = interaction.options.getString('format') || 'csv';
+            const days = interaction.options.getInteger('days') ?? 30;
+            const cards = (await listGuildCards(guildId)).map(cardExportRow);
+            const claims = days > 0 ? await listGuildClaims(guildId, Math.floor(Date.now() / 1000) - days * 86400) : [];
+            const stamp = new Date().toISOString().slice(0, 10);
+            const files = format === 'json'
+              ? [new AttachmentBuilder(Buffer.from(JSON.stringify({ guild_id: guildId, exported_at: new Date().toISOString(), cards,
+                  claims: claims.map(l => Object.fromEntries(CLAIM_EXPORT_COLUMNS.map(k => [k, l[k]]))) }, null, 2)), { name: `cards-${stamp}.json` })]
+              : [new AttachmentBuilder(Buffer.from(toCsv(cards, CARD_EXPORT_COLUMNS)), { name: `cards-${stamp}.csv` }),
+                ...(days > 0 ? [new AttachmentBuilder(Buffer.from(toCsv(claims, CLAIM_EXPORT_COLUMNS)), { name: `claims-${stamp}.csv` })] : [])];
+            await logAudit(guildId, actor, 'export', null, { format, cards: cards.length, claims: claims.length, days });
+            await interaction.editReply({ content: tr('cardadmin.exported', { cards: cards.length, claims: claims.length }), files });
+            return;
+          }
+
+          const card = await findCardByRef(interaction.options.getString('card', true));
+          if (!card || card.guild_id !== guildId) {
+            await interaction.editReply({ content: tr('common.card_not_found_guild') });
+            return;
+          }
+          const label = cardLabel(card);
+          if (sub === 'inspect') {
+            await logAudit(guildId, actor, 'inspect', card.alias, { owner: card.user_id });
+            await interaction.editReply({ embeds: [await buildCardInspectEmbed(card, interaction.locale)] });
+            return;
+          }
+          if (sub === 'unlink') {
+            const reason = interaction.options.getString('reason');
+            // unpaid tax goes away with the card, so the audit entry keeps the amount written off
+            const debt = Number(card.tax_debt) || 0;
+            await deleteCardFromDb(card.card_id);
+            await logAudit(guildId, actor, 'unlink', card.alias, { owner: card.user_id, reason, ...(debt > 0 ? { tax_debt_written_off: debt } : {}) });
+            if (debt > 0) log.warn(`[admin] card ${label} unlinked with ${formatCoins(debt)} of unpaid tax written off`);
+            await notifyUserIfOptedIn(card.user_id, 'card_removed', reason ? 'dm.admin_unlinked_reason' : 'dm.admin_unlinked', { card: label, reason });
+            await interaction.editReply({ content: [tr('cardadmin.unlinked', { card: label, user: card.user_id }),
+              ...(debt > 0 ? [tr('cardadmin.debt_written_off', { debt: formatCoins(debt) })] : [])].join('\n') });
+            await refreshPanelEmbed(guildId).catch(()=>{});
+          } else if (sub === 'reassign') {
+            const target = interaction.options.getUser('user', true);
+            await reassignCard(card.card_id, target.id, guildId);
+            await logAudit(guildId, actor, 'reassign', card.alias, { from: card.user_id, to: target.id });
+            await notifyUser(card.user_id, 'dm.admin_moved_away', { card: label });
+            await notifyUser(target.id, 'dm.admin_moved_in', { card: label });
+            await interaction.editReply({ content: tr('cardadmin.reassigned', { card: label, from: card.user_id, to: target.id }) });
+          } else if (sub === 'disable') {
+            const reason = interaction.options.getString('reason');
+            await setCardStatus(card.card_id, 'disabled');
+            await logAudit(guildId, actor, 'disable', card.alias, { owner: card.user_id, reason });
+            await interaction.editReply({ content: tr('cardadmin.disabled', { card: label }) });
+          } else if (sub === 'enable') {
+            await reactivateCard(card.card_id);
+            await logAudit(guildId, actor, 'enable', card.alias, { owner: card.user_id, previous: card.status || 'active' });
+            await interaction.editReply({ content: tr('cardadmin.enabled', { card: label }) });
+            kickClaimScheduler();
+          }
+          log.info(`[admin] ${sub} card ${label} by ${actor}`);
+        } catch (e) {
+          log.error('cardadmin error', e);
+          await interaction.editReply({ content: tr('common.error', { error: e.message || e }) });
+        }
+        return;
+      }
+
+      if (cmd === 'linkrequests') {
+        if (!interaction.memberPermissions || !interaction.memberPermissions.has(PermissionFlagsBits.ManageGuild)) {
+          await interaction.reply({ content: tr('common.need_manage_guild'), ephemeral: true });
+          return;
+        }
+        await interaction.deferReply({ ephemeral: true }).catch(()=>{});
+        try {
+          const sub = interaction.options.getSubcommand();
+          if (sub === 'list') {
+            await interaction.editReply(await buildLinkRequestsView(interaction.guildId, 0, interaction.locale));
+            return;
+          }
+          const req = await getLinkRequest(interaction.options.getInteger('id', true));
+          // the card's guild decides: its admins may reject, and approve only requests made in that guild
+          const card = req ? await getCardById(req.card_id) : null;
+          const cardGuild = card ? card.guild_id : req?.guild_id;
+          if (!req || req.status !== 'pending' || (cardGuild !== interaction.guildId && req.guild_id !== interaction.guildId)) {
+            await interaction.editReply({ content: tr('common.request_not_found') });
+            return;
+          }
+          if (sub === 'approve' && (cardGuild !== interaction.guildId || req.guild_id !== cardGuild)) {
+            await interaction.editReply({ content: tr('linkrequests.cross_guild', { id: req.id }) });
+            return;
+          }
+          if (!await finishLinkRequest(req, sub === 'approve' ? 'approved' : 'rejected', interaction.user.id)) {
+            await interaction.editReply({ content: tr('common.request_not_found') });
+            return;
+          }
+          await logAudit(interaction.guildId, interaction.user.id, `link_request_${sub}`, `#${req.id}`, { requester: req.requester_id, owner: req.owner_id });
+          await interaction.editReply({ content: tr(sub === 'approve' ? 'linkrequests.approved' : 'linkrequests.rejected', { id: req.id }) });
+        } catch (e) {
+          log.error('linkrequests error', e);
+          await interaction.editReply({ content: tr('common.error', { error: e.message || e }) });
         }
         return;
       }
@@ -427,16 +2294,16 @@ client.on(Events.InteractionCreate, async interaction => {
     if (interaction.isButton()) {
       const id = interaction.customId;
       if (id === 'panel_add') {
-        const modal = new ModalBuilder().setCustomId('modal_add_card').setTitle('Adicionar Card');
-        const input = new TextInputBuilder().setCustomId('card_input').setLabel('Código do card').setStyle(TextInputStyle.Short).setPlaceholder('ex: 1f6c293c3951').setRequired(true);
+        const modal = new ModalBuilder().setCustomId('modal_add_card').setTitle(tr('modal.add.title'));
+        const input = new TextInputBuilder().setCustomId('card_input').setLabel(tr('modal.add.label')).setStyle(TextInputStyle.Short).setPlaceholder(tr('modal.card_placeholder')).setRequired(true);
         const row = new ActionRowBuilder().addComponents(input);
         modal.addComponents(row);
         await interaction.showModal(modal);
         return;
       }
       if (id === 'panel_remove') {
-        const modal = new ModalBuilder().setCustomId('modal_remove_card').setTitle('Remover Card');
-        const input = new TextInputBuilder().setCustomId('card_input').setLabel('Código do card a remover').setStyle(TextInputStyle.Short).setPlaceholder('ex: 1f6c293c3951').setRequired(true);
+        const modal = new ModalBuilder().setCustomId('modal_remove_card').setTitle(tr('modal.remove.title'));
+        const input = new TextInputBuilder().setCustomId('card_input').setLabel(tr('modal.remove.label')).setStyle(TextInputStyle.Short).setPlaceholder(tr('modal.card_placeholder')).setRequired(true);
         const row = new ActionRowBuilder().addComponents(input);
         modal.addComponents(row);
         await interaction.showModal(modal);
@@ -445,17 +2312,130 @@ client.on(Events.InteractionCreate, async interaction => {
       if (id === 'panel_mycards') {
         const rows = await listUserCards(interaction.user.id);
         if (!rows || rows.length === 0) {
-          await interaction.reply({ content: 'Você não tem cards vinculados.', ephemeral: true });
+          await interaction.reply({ content: tr('common.no_cards'), ephemeral: true });
         } else {
-          const embed = new EmbedBuilder()
-            .setTitle(`${interaction.user.username} — Meus Cards`)
-            .setColor(0x5865F2)
-            .setFooter({ text: 'Painel de registro de cartões - Coin System' });
-          rows.forEach(r => {
-            embed.addFields({ name: r.card_code, value: `last claim: ${formatLastClaimAgo(r.last_claim_ts)}\nretries: ${r.claim_retry || 0}`, inline: false });
-          });
-          await interaction.reply({ embeds: [embed], ephemeral: true });
+          await interaction.reply({ ...(await buildMyCardsView(interaction.user, rows, interaction.locale)), ephemeral: true });
+        }
+        return;
+      }
+      if (id === 'panel_sweep') {
+        const current = await getSweepSettings(interaction.user.id);
+        const modal = new ModalBuilder().setCustomId('modal_sweep').setTitle(tr('panel.button.sweep'));
+        const dest = new TextInputBuilder().setCustomId('dest_input').setLabel(tr('modal.sweep.dest')).setStyle(TextInputStyle.Short).setPlaceholder(tr('modal.card_placeholder')).setRequired(false);
+        const min = new TextInputBuilder().setCustomId('min_input').setLabel(tr('modal.sweep.min')).setStyle(TextInputStyle.Short).setPlaceholder(tr('modal.sweep.min_placeholder')).setRequired(false);
+        if (current) min.setValue(formatCoins(current.min_amount));
+        modal.addComponents(new ActionRowBuilder().addComponents(dest), new ActionRowBuilder().addComponents(min));
+        await interaction.showModal(modal);
+        return;
+      }
+      if (id.startsWith('card_reactivate:')) {
+        const card = await getCardById(id.slice('card_reactivate:'.length));
+        if (!card || card.user_id !== interaction.user.id) {
+          await interaction.reply({ content: tr('common.card_not_found'), ephemeral: true });
+          return;
+        }
+        if (card.status === 'disabled') {
+          await interaction.reply({ content: tr('common.card_disabled'), ephemeral: true });
+          return;
         }
+        await reactivateCard(card.card_id);
+        log.info(`[claims] card ${cardLabel(card)} reactivated by its owner`);
+        await interaction.update(await buildMyCardsView(interaction.user, await listUserCards(interaction.user.id), interaction.locale));
+        kickClaimScheduler();
+        return;
+      }
+      if (id === 'panel_notify') {
+        await interaction.reply({ ...buildNotifyView(await getNotifyPrefs(interaction.user.id), interaction.locale), ephemeral: true });
+        return;
+      }
+      if (id.startsWith('notify_toggle:')) {
+        const key = id.split(':')[1];
+        const prefs = await getNotifyPrefs(interaction.user.id);
+        await setNotifyPref(interaction.user.id, key, !prefs[key]);
+        await interaction.update(buildNotifyView(await getNotifyPrefs(interaction.user.id), interaction.locale));
+        return;
+      }
+      if (id === 'panel_leaderboard') {
+        if (!interaction.guildId) {
+          await interaction.reply({ content: tr('common.guild_only'), ephemeral: true });
+          return;
+        }
+        await interaction.reply({ embeds: [await buildLeaderboardEmbed(interaction.guildId, interaction.locale)], ephemeral: true, allowedMentions: { parse: [] } });
+        return;
+      }
+      if (id === 'panel_history') {
+        await interaction.reply({ ...(await buildHistoryView(interaction.user, 0, interaction.locale)), ephemeral: true });
+        return;
+      }
+      // proof of control: the bot moves a random dust amount from the card to its guild's receiver card;
+      // only whoever can see the card's statement at the bank knows the exact value.
+      if (id.startsWith('link_challenge:')) {
+        const req = await getLinkRequest(Number(id.split(':')[1]));
+        if (!req || req.requester_id !== interaction.user.id || req.status !== 'pending') {
+          await interaction.reply({ content: tr('common.request_not_found'), ephemeral: true });
+          return;
+        }
+        await interaction.deferReply({ ephemeral: true }).catch(()=>{});
+        const card = await getCardById(req.card_id);
+        if (!card) {
+          await interaction.editReply({ content: tr('link.card_gone') });
+          return;
+        }
+        const { receiverCard } = await getGuildTaxConfig(card.guild_id);
+        if (!receiverCard) {
+          await interaction.editReply({ content: tr('link.unavailable') });
+          return;
+        }
+        // the slot is claimed before the transfer, so a double click or a second client sends nothing
+        const amount = Number(((100 + Math.floor(Math.random() * 900)) / 1e8).toFixed(8));
+        if (!req.challenge_amount && await setLinkChallenge(req.id, amount)) {
+          const payResp = await apiTransferBetweenCards(decryptCardCode(card.card_enc), receiverCard, amount);
+          if (!payResp || !payResp.success) {
+            log.warn(`[link] challenge transfer failed for request #${req.id}`, payResp?.error || payResp);
+            await clearLinkChallenge(req.id, amount);
+            await interaction.editReply({ content: tr('link.transfer_failed', { error: payResp?.error || tr('link.unknown_error') }) });
+            return;
+          }
+        }
+        const row = new ActionRowBuilder().addComponents(
+          new ButtonBuilder().setCustomId(`link_verify:${req.id}`).setLabel(tr('link.confirm')).setStyle(ButtonStyle.Success)
+        );
+        await interaction.editReply({
+          content: tr('link.challenge_sent', { card: cardLabel(card) }),
+          components: [row]
+        });
+        return;
+      }
+      if (id.startsWith('link_verify:')) {
+        const reqId = Number(id.split(':')[1]);
+        const modal = new ModalBuilder().setCustomId(`modal_link_verify:${reqId}`).setTitle(tr('modal.verify.title'));
+        const input = new TextInputBuilder().setCustomId('amount_input').setLabel(tr('modal.verify.label')).setStyle(TextInputStyle.Short).setPlaceholder(tr('modal.verify.placeholder')).setRequired(true);
+        modal.addComponents(new ActionRowBuilder().addComponents(input));
+        await interaction.showModal(modal);
+        return;
+      }
+      if (id.startsWith('cardadmin_page:')) {
+        if (!interaction.guildId || !interaction.memberPermissions || !interaction.memberPermissions.has(PermissionFlagsBits.ManageGuild)) {
+          await interaction.reply({ content: tr('common.need_manage_guild'), ephemeral: true });
+          return;
+        }
+        const [, page, userId, status, ...query] = id.split(':');
+        const filters = { userId: userId || null, status: status || null, query: query.join(':') || null };
+        await interaction.update(await buildCardAdminSearchView(interaction.guildId, filters, Number(page) || 0, interaction.locale));
+        return;
+      }
+      if (id.startsWith('linkrequests_page:')) {
+        if (!interaction.guildId || !interaction.memberPermissions || !interaction.memberPermissions.has(PermissionFlagsBits.ManageGuild)) {
+          await interaction.reply({ content: tr('common.need_manage_guild'), ephemeral: true });
+          return;
+        }
+        const page = Number(id.split(':')[1]) || 0;
+        await interaction.update(await buildLinkRequestsView(interaction.guildId, page, interaction.locale));
+        return;
+      }
+      if (id.startsWith('history_page:')) {
+        const page = Number(id.split(':')[1]) || 0;
+        await interaction.update(await buildHistoryView(interaction.user, page, interaction.locale));
         return;
       }
     }
@@ -467,12 +2447,81 @@ client.on(Events.InteractionCreate, async interaction => {
         const card = interaction.fields.getTextInputValue('card_input').trim();
         await interaction.deferReply({ ephemeral: true }).catch(()=>{});
         try {
-          const res = await addOrUpdateCard(card, interaction.user.id);
-          await interaction.editReply({ content: `Card ${card} vinculado com sucesso. (${res.created ? 'created' : 'updated'})` });
-          await refreshPanelEmbed();
+          const res = await addOrUpdateCard(card, interaction.user.id, interaction.guildId);
+          if (res.conflict) {
+            await handleLinkConflict(interaction, res.card, res.ownerId);
+            return;
+          }
+          await interaction.editReply({ content: tr('linkcard.linked', { card: cardLabel(res.card), result: tr(res.created ? 'linkcard.created' : 'linkcard.updated') }) });
+          await refreshPanelEmbed(interaction.guildId);
+          kickClaimScheduler();
+        } catch (e) {
+          log.error('modal_add_card error', e);
+          await interaction.editReply({ content: tr('linkcard.error', { error: e.message || e }) });
+        }
+        return;
+      }
+      if (cid === 'modal_import_cards') {
+        await interaction.deferReply({ ephemeral: true }).catch(()=>{});
+        try {
+          await runCardImport(interaction, interaction.fields.getTextInputValue('cards_input'));
+        } catch (e) {
+          log.error('modal_import_cards error', e);
+          await interaction.editReply({ content: tr('import.error', { error: e.message || e }) });
+        }
+        return;
+      }
+      if (cid.startsWith('modal_link_verify:')) {
+        const req = await getLinkRequest(Number(cid.split(':')[1]));
+        await interaction.deferReply({ ephemeral: true }).catch(()=>{});
+        if (!req || req.requester_id !== interaction.user.id || req.status !== 'pending' || !req.challenge_amount) {
+          await interaction.editReply({ content: tr('common.request_not_found') });
+          return;
+        }
+        // the guess is counted before it is checked; a submission past the limit is refused outright
+        if (!await incLinkChallengeAttempts(req.id, LINK_CHALLENGE_MAX_ATTEMPTS)) {
+          await interaction.editReply({ content: tr('common.request_not_found') });
+          return;
+        }
+        const answer = Number(interaction.fields.getTextInputValue('amount_input').trim().replace(',', '.'));
+        if (Math.abs(answer - req.challenge_amount) < 1e-9) {
+          if (!await finishLinkRequest(req, 'verified', interaction.user.id)) {
+            await interaction.editReply({ content: tr('common.request_not_found') });
+            return;
+          }
+          await interaction.editReply({ content: tr('link.verified') });
+          kickClaimScheduler();
+          return;
+        }
+        const left = LINK_CHALLENGE_MAX_ATTEMPTS - ((await getLinkRequest(req.id))?.challenge_attempts ?? LINK_CHALLENGE_MAX_ATTEMPTS);
+        if (left <= 0) {
+          await finishLinkRequest(req, 'rejected', 'challenge');
+          await interaction.editReply({ content: tr('link.wrong_final') });
+        } else {
+          await interaction.editReply({ content: tr('link.wrong', { n: left }) });
+        }
+        return;
+      }
+      if (cid === 'modal_sweep') {
+        const dest = interaction.fields.getTextInputValue('dest_input').trim();
+        const minRaw = interaction.fields.getTextInputValue('min_input').trim().replace(',', '.');
+        await interaction.deferReply({ ephemeral: true }).catch(()=>{});
+        try {
+          if (!dest) {
+            await deleteSweepSettings(interaction.user.id);
+            await interaction.editReply({ content: tr('sweep.off') });
+            return;
+          }
+          const min = minRaw ? Number(minRaw) : 0;
+          if (!isFinite(min) || min < 0) {
+            await interaction.editReply({ content: tr('sweep.bad_min') });
+            return;
+          }
+          await saveSweepSettings(interaction.user.id, dest, min);
+          await interaction.editReply({ content: tr('sweep.on', { dest: maskCardCode(dest), min: formatCoins(min) }) });
         } catch (e) {
-          console.error('modal_add_card error', e);
-          await interaction.editReply({ content: `Erro ao vincular card: ${e.message || e}` });
+          log.error('modal_sweep error', e);
+          await interaction.editReply({ content: tr('common.error', { error: e.message || e }) });
         }
         return;
       }
@@ -481,23 +2530,58 @@ client.on(Events.InteractionCreate, async interaction => {
         await interaction.deferReply({ ephemeral: true }).catch(()=>{});
         try {
           const res = await removeCard(card, interaction.user.id);
-          if (res.ok) await interaction.editReply({ content: `Card ${card} removido.` });
-          else await interaction.editReply({ content: `Não foi possível remover: ${res.reason}` });
-          await refreshPanelEmbed();
+          if (res.ok) await interaction.editReply({ content: tr('unlinkcard.done', { card: cardLabel(res.card) }) });
+          else await interaction.editReply({ content: tr('unlinkcard.failed', { reason: tr(`unlinkcard.reason.${res.reason}`) }) });
+          await refreshPanelEmbed(interaction.guildId);
         } catch (e) {
-          console.error('modal_remove_card error', e);
-          await interaction.editReply({ content: `Erro: ${e.message || e}` });
+          log.error('modal_remove_card error', e);
+          await interaction.editReply({ content: tr('common.error', { error: e.message || e }) });
         }
         return;
       }
     }
   } catch (e) {
-    console.error('interaction handler general error', e);
-    try { if (interaction.deferred || interaction.replied) await interaction.followUp({ content: 'Erro interno', ephemeral: true }); else await interaction.reply({ content: 'Erro interno', ephemeral: true }); } catch(_) {}
+    log.error('interaction handler general error', e);
+    try { if (interaction.deferred || interaction.replied) await interaction.followUp({ content: tr('common.internal_error'), ephemeral: true }); else await interaction.reply({ content: tr('common.internal_error'), ephemeral: true }); } catch(_) {}
   }
 });
 
-client.login(DISCORD_TOKEN).catch(e => {
-  console.error('Failed to login Discord client', e);
-  process.exit(1);
-});
+// graceful shutdown (start.bat restarts us): stop scheduling, let in-flight cards finish, then close Discord and SQLite
+async function shutdown(signal) {
+  if (shuttingDown) return;
+  shuttingDown = true;
+  log.info(`[shutdown] ${signal} received — finishing in-flight claims...`);
+  if (claimTimer) clearInterval(claimTimer);
+  if (digestTimer) clearInterval(digestTimer);
+  if (panelRefreshTimer) clearTimeout(panelRefreshTimer);
+  if (monitorServer) monitorServer.close();
+  for (const task of cronTasks.values()) task.destroy();
+  const deadline = Date.now() + SHUTDOWN_TIMEOUT_MS;
+  while (claimRunning && Date.now() < deadline) await sleep(200);
+  if (claimRunning) log.warn('[shutdown] claims still running after timeout; the journal will recover them on restart');
+  try { await client.destroy(); } catch (e) { log.warn('[shutdown] discord client', e?.message || e); }
+  await storage.close().catch(e => log.warn('[shutdown] closing db', e?.message || e));
+  log.info('[shutdown] bye.');
+  process.exit(0);
+}
+
+// the test suite requires this file for its worker functions without starting the bot
+if (require.main === module) {
+  process.on('SIGINT', () => shutdown('SIGINT'));
+  process.on('SIGTERM', () => shutdown('SIGTERM'));
+  startMonitorServer();
+  // handlers need the (possibly migrated) database, so log in only once it is ready
+  dbReady.then(() => client.login(DISCORD_TOKEN)).catch(e => {
+    log.error('Failed to login Discord client', e);
+    process.exit(1);
+  });
+}
+
+module.exports = {
+  dbReady,
+  addOrUpdateCard, getCardById, listUserCards, parseCardImport, importCards, reassignCard,
+  saveSetting, deleteSetting, saveGuildSetting, deleteGuildSetting, deleteGuildSettings, setCardStatus, saveSweepSettings,
+  setNextClaimForAll, setTaxDebt, setSweepPending, addTaxRule, removeTaxRule, openJournal, getJournal,
+  listCardClaims, listTaxDebtPayments, listUserSweeps,
+  processCardClaim, runClaimsPass, recoverClaimJournal, sendEarningsDigests, claimMetrics, inQuietWindow, metrics, getHealth,
+};
@@ -0,0 +1,60 @@
+/**
+ * logger.js — leveled logging for the bot, as plain console lines or one JSON object per line.
+ *   LOG_LEVEL   debug | info | warn | error (default info)
+ *   LOG_FORMAT  text (default, same lines as console.log) | json
+ * Calls keep the console signature: log.warn('[claims] message', detail). In JSON the "[claims]"
+ * prefix becomes the scope field, Error arguments become error/stack and objects go under data.
+ */
+
+const util = require('util');
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+
+function toEntry(level, args) {
+  const entry = { ts: new Date().toISOString(), level };
+  const parts = [];
+  const data = [];
+  for (const a of args) {
+    if (a instanceof Error) {
+      entry.error = a.message;
+      entry.stack = a.stack;
+    } else if (a !== null && typeof a === 'object') {
+      data.push(a);
+    } else {
+      parts.push(String(a));
+    }
+  }
+  let msg = parts.join(' ');
+  const scope = msg.match(/^\[([\w-]+)\]\s*/);
+  if (scope) {
+    entry.scope = scope[1];
+    msg = msg.slice(scope[0].length);
+  }
+  entry.msg = msg;
+  if (data.length) entry.data = data.length === 1 ? data[0] : data;
+  return entry;
+}
+
+function serialize(entry) {
+  try {
+    return JSON.stringify(entry);
+  } catch (_) {
+    // circular or otherwise unserializable detail: keep the line, inspect the data
+    return JSON.stringify({ ...entry, data: util.inspect(entry.data, { depth: 2 }) });
+  }
+}
+
+function createLogger({ level = 'info', format = 'text', stdout = process.stdout, stderr = process.stderr } = {}) {
+  const min = LEVELS[level] ?? LEVELS.info;
+  const write = (lvl, args) => {
+    if (LEVELS[lvl] < min) return;
+    const stream = LEVELS[lvl] >= LEVELS.warn ? stderr : stdout;
+    stream.write(`${format === 'json' ? serialize(toEntry(lvl, args)) : util.format(...args)}\n`);
+  };
+  return Object.fromEntries(Object.keys(LEVELS).map(lvl => [lvl, (...args) => write(lvl, args)]));
+}
+
+// shared instance, configured from the environment (index.js loads .env before requiring anything)
+const log = createLogger({ level: String(process.env.LOG_LEVEL || 'info').toLowerCase(), format: String(process.env.LOG_FORMAT || 'text').toLowerCase() });
+
+module.exports = { log, createLogger, LEVELS };
@@ -0,0 +1,79 @@
+/**
+ * metrics.js — minimal Prometheus registry (counters, gauges, summaries without quantiles)
+ * rendered in the text exposition format for GET /metrics.
+ */
+
+function escapeLabel(v) {
+  return String(v).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+function seriesKey(labels = {}) {
+  const keys = Object.keys(labels).sort();
+  return keys.length ? `{${keys.map(k => `${k}="${escapeLabel(labels[k])}"`).join(',')}}` : '';
+}
+function formatValue(v) {
+  if (v === Infinity) return '+Inf';
+  if (v === -Infinity) return '-Inf';
+  return Number.isFinite(v) ? String(v) : 'NaN';
+}
+
+function createMetrics() {
+  const metrics = [];
+  const define = (type, name, help, collect) => {
+    const series = new Map(); // seriesKey -> value
+    const metric = { type, name, help, series, collect };
+    metrics.push(metric);
+    return metric;
+  };
+
+  // monotonically increasing; inc(labels?, by = 1)
+  function counter(name, help) {
+    const m = define('counter', name, help);
+    return {
+      inc(labels, by = 1) {
+        if (typeof labels === 'number') [labels, by] = [{}, labels];
+        const key = seriesKey(labels);
+        m.series.set(key, (m.series.get(key) || 0) + by);
+      },
+    };
+  }
+  // current value; collect() (optional, may be async) is called on every render to refresh it
+  function gauge(name, help, collect) {
+    const m = define('gauge', name, help, collect);
+    const api = {
+      set(labels, value) {
+        if (typeof labels === 'number') [labels, value] = [{}, labels];
+        m.series.set(seriesKey(labels), value);
+      },
+    };
+    if (collect) m.collect = () => collect(api);
+    return api;
+  }
+  // count and sum of observations (e.g. pass durations)
+  function summary(name, help) {
+    const m = define('summary', name, help);
+    return {
+      observe(value) {
+        m.series.set('_sum', (m.series.get('_sum') || 0) + value);
+        m.series.set('_count', (m.series.get('_count') || 0) + 1);
+      },
+    };
+  }
+
+  async function render() {
+    const lines = [];
+    for (const m of metrics) {
+      if (m.collect) await m.collect();
+      lines.push(`# HELP ${m.name} ${m.help}`, `# TYPE ${m.name} ${m.type}`);
+      if (m.type === 'summary') {
+        lines.push(`${m.name}_sum ${formatValue(m.series.get('_sum') || 0)}`, `${m.name}_count ${formatValue(m.series.get('_count') || 0)}`);
+        continue;
+      }
+      for (const [key, value] of m.series) lines.push(`${m.name}${key} ${formatValue(value)}`);
+    }
+    return `${lines.join('\n')}\n`;
+  }
+
+  return { counter, gauge, summary, render };
+}
+
+module.exports = { createMetrics };
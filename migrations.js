@@ -0,0 +1,262 @@
+/**
+ * migrations.js — versioned schema of the SQLite database.
+ * Every step runs once, in order, inside a transaction; the applied versions are recorded in schema_version.
+ * New columns or tables go in a new step at the end of MIGRATIONS — never edit a step that has shipped.
+ */
+
+const { log } = require('./logger');
+
+// adds a column to an existing table when it is missing (older cards.db files)
+async function ensureColumn(db, table, column, definition) {
+  const cols = await db.allSql(`PRAGMA table_info(${table})`);
+  if (!cols.some(c => c.name === column)) await db.runSql(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+}
+
+// each step gets the storage's runSql/getSql/allSql plus cardIdFor, encryptCardCode and allocateCardAlias
+const MIGRATIONS = [
+  {
+    // the schema from before versioning. Every statement is idempotent, so databases created by
+    // older releases (no schema_version table) are brought up to date by running it again.
+    version: 1,
+    name: 'baseline',
+    async up(db) {
+      await db.runSql(`CREATE TABLE IF NOT EXISTS cards (
+        card_id TEXT PRIMARY KEY,
+        card_enc TEXT NOT NULL,
+        alias TEXT UNIQUE,
+        user_id TEXT,
+        last_claim_ts INTEGER DEFAULT 0,
+        claim_retry INTEGER DEFAULT 0,
+        next_claim_ts INTEGER DEFAULT 0,
+        tax_debt REAL DEFAULT 0,
+        guild_id TEXT,
+        sweep_pending REAL DEFAULT 0,
+        status TEXT DEFAULT 'active',
+        last_error TEXT,
+        last_journal_id INTEGER DEFAULT 0
+      )`);
+      await ensureColumn(db, 'cards', 'next_claim_ts', 'INTEGER DEFAULT 0');
+      await ensureColumn(db, 'cards', 'tax_debt', 'REAL DEFAULT 0');
+      await ensureColumn(db, 'cards', 'guild_id', 'TEXT');
+      await ensureColumn(db, 'cards', 'sweep_pending', 'REAL DEFAULT 0');
+      await ensureColumn(db, 'cards', 'status', "TEXT DEFAULT 'active'");
+      await ensureColumn(db, 'cards', 'last_error', 'TEXT');
+      await ensureColumn(db, 'cards', 'last_journal_id', 'INTEGER DEFAULT 0');
+      await db.runSql(`CREATE TABLE IF NOT EXISTS settings (
+        key TEXT PRIMARY KEY,
+        value TEXT
+      )`);
+      await db.runSql(`CREATE TABLE IF NOT EXISTS notify_prefs (
+        user_id TEXT PRIMARY KEY,
+        card_removed INTEGER DEFAULT 0,
+        failures INTEGER DEFAULT 0,
+        digest INTEGER DEFAULT 0
+      )`);
+      await db.runSql(`CREATE TABLE IF NOT EXISTS sweep_settings (
+        user_id TEXT PRIMARY KEY,
+        dest_id TEXT,
+        dest_enc TEXT,
+        min_amount REAL DEFAULT 0,
+        updated_ts INTEGER
+      )`);
+      await db.runSql(`CREATE TABLE IF NOT EXISTS sweep_log (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        card_id TEXT,
+        user_id TEXT,
+        ts INTEGER,
+        amount REAL,
+        status TEXT,
+        error TEXT
+      )`);
+      await db.runSql(`CREATE TABLE IF NOT EXISTS tax_rules (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        guild_id TEXT,
+        kind TEXT,
+        role_id TEXT,
+        rate REAL DEFAULT 0,
+        up_to REAL,
+        created_by TEXT,
+        created_ts INTEGER
+      )`);
+      await db.runSql(`CREATE TABLE IF NOT EXISTS guild_settings (
+        guild_id TEXT,
+        key TEXT,
+        value TEXT,
+        PRIMARY KEY (guild_id, key)
+      )`);
+      await db.runSql(`CREATE TABLE IF NOT EXISTS claim_log (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        card_id TEXT,
+        user_id TEXT,
+        ts INTEGER,
+        amount REAL DEFAULT 0,
+        tax REAL DEFAULT 0,
+        tax_status TEXT DEFAULT 'none',
+        error TEXT,
+        guild_id TEXT
+      )`);
+      await ensureColumn(db, 'claim_log', 'guild_id', 'TEXT');
+      await ensureColumn(db, 'claim_log', 'tax_rule', 'TEXT');
+      await ensureColumn(db, 'claim_log', 'journal_id', 'INTEGER');
+      await db.runSql(`CREATE INDEX IF NOT EXISTS idx_claim_log_user_ts ON claim_log(user_id, ts)`);
+      await db.runSql(`CREATE UNIQUE INDEX IF NOT EXISTS idx_claim_log_journal ON claim_log(journal_id)`);
+      await db.runSql(`CREATE TABLE IF NOT EXISTS link_requests (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        card_id TEXT,
+        requester_id TEXT,
+        owner_id TEXT,
+        status TEXT DEFAULT 'pending',
+        challenge_amount REAL,
+        challenge_attempts INTEGER DEFAULT 0,
+        created_ts INTEGER,
+        resolved_ts INTEGER,
+        resolved_by TEXT,
+        guild_id TEXT
+      )`);
+      await ensureColumn(db, 'link_requests', 'guild_id', 'TEXT');
+      await db.runSql(`CREATE TABLE IF NOT EXISTS tax_debt_payments (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        card_id TEXT,
+        user_id TEXT,
+        ts INTEGER,
+        amount REAL,
+        guild_id TEXT
+      )`);
+      await ensureColumn(db, 'tax_debt_payments', 'guild_id', 'TEXT');
+      await ensureColumn(db, 'tax_debt_payments', 'journal_id', 'INTEGER');
+      await db.runSql(`CREATE UNIQUE INDEX IF NOT EXISTS idx_tax_debt_payments_journal ON tax_debt_payments(journal_id)`);
+      await db.runSql(`CREATE TABLE IF NOT EXISTS audit_log (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        guild_id TEXT,
+        actor_id TEXT,
+        action TEXT,
+        target TEXT,
+        details TEXT,
+        ts INTEGER
+      )`);
+      await db.runSql(`CREATE INDEX IF NOT EXISTS idx_audit_log_guild_ts ON audit_log(guild_id, ts)`);
+      // write-ahead journal of claims and tax debt payments; see "Claim journal" below
+      await db.runSql(`CREATE TABLE IF NOT EXISTS claim_journal (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        kind TEXT,
+        card_id TEXT,
+        user_id TEXT,
+        guild_id TEXT,
+        step TEXT,
+        amount REAL DEFAULT 0,
+        tax REAL DEFAULT 0,
+        tax_rule TEXT,
+        tax_status TEXT,
+        tax_error TEXT,
+        next_ts INTEGER,
+        created_ts INTEGER,
+        updated_ts INTEGER
+      )`);
+      await db.runSql(`CREATE INDEX IF NOT EXISTS idx_claim_journal_step ON claim_journal(step)`);
+    },
+  },
+  {
+    // one-time move from plaintext card_code columns: cards is rebuilt with card_id/card_enc/alias,
+    // and the card_code column of the other tables is replaced by the matching card_id.
+    version: 2,
+    name: 'encrypt_card_codes',
+    async up(db) {
+      const tables = ['cards', 'claim_log', 'link_requests', 'tax_debt_payments'];
+      const pending = [];
+      for (const t of tables) {
+        const cols = await db.allSql(`PRAGMA table_info(${t})`);
+        if (cols.some(c => c.name === 'card_code')) pending.push(t);
+      }
+      if (!pending.length) return;
+      log.info(`[db] encrypting card codes (${pending.join(', ')})...`);
+      if (pending.includes('cards')) {
+        const rows = await db.allSql(`SELECT * FROM cards`);
+        await db.runSql(`CREATE TABLE cards_new (
+          card_id TEXT PRIMARY KEY,
+          card_enc TEXT NOT NULL,
+          alias TEXT UNIQUE,
+          user_id TEXT,
+          last_claim_ts INTEGER DEFAULT 0,
+          claim_retry INTEGER DEFAULT 0,
+          next_claim_ts INTEGER DEFAULT 0,
+          tax_debt REAL DEFAULT 0,
+          guild_id TEXT,
+          sweep_pending REAL DEFAULT 0,
+          status TEXT DEFAULT 'active',
+          last_error TEXT,
+          last_journal_id INTEGER DEFAULT 0
+        )`);
+        for (const r of rows) {
+          const id = db.cardIdFor(r.card_code);
+          await db.runSql(`INSERT INTO cards_new(card_id, card_enc, alias, user_id, last_claim_ts, claim_retry, next_claim_ts, tax_debt, guild_id)
+            VALUES(?,?,?,?,?,?,?,?,?)`,
+            [id, db.encryptCardCode(r.card_code), await db.allocateCardAlias(id, 'cards_new'), r.user_id,
+              r.last_claim_ts || 0, r.claim_retry || 0, r.next_claim_ts || 0, r.tax_debt || 0, r.guild_id || null]);
+        }
+        await db.runSql(`DROP TABLE cards`);
+        await db.runSql(`ALTER TABLE cards_new RENAME TO cards`);
+      }
+      for (const t of pending.filter(t => t !== 'cards')) {
+        const codes = await db.allSql(`SELECT DISTINCT card_code FROM ${t} WHERE card_code IS NOT NULL`);
+        for (const { card_code } of codes) {
+          await db.runSql(`UPDATE ${t} SET card_code=? WHERE card_code=?`, [db.cardIdFor(card_code), card_code]);
+        }
+        await db.runSql(`ALTER TABLE ${t} RENAME COLUMN card_code TO card_id`);
+      }
+      log.info('[db] card codes encrypted.');
+    },
+  },
+  {
+    version: 3,
+    name: 'card_lookup_indexes',
+    async up(db) {
+      await db.runSql(`CREATE INDEX IF NOT EXISTS idx_cards_next_claim ON cards(next_claim_ts)`);
+      await db.runSql(`CREATE INDEX IF NOT EXISTS idx_cards_guild ON cards(guild_id)`);
+      await db.runSql(`CREATE INDEX IF NOT EXISTS idx_cards_user ON cards(user_id)`);
+    },
+  },
+  {
+    version: 4,
+    name: 'user_locale',
+    // last Discord locale seen per user, so DMs sent outside an interaction use their language
+    async up(db) {
+      await ensureColumn(db, 'notify_prefs', 'locale', 'TEXT');
+    },
+  },
+  {
+    version: 5,
+    name: 'tax_deferred',
+    // claimed amounts not taxed yet because the owner's roles could not be read at claim time
+    async up(db) {
+      await ensureColumn(db, 'cards', 'tax_deferred', 'REAL DEFAULT 0');
+    },
+  },
+];
+
+// brings the database to the last version; returns it. A database newer than this code is refused
+// rather than used with a schema we do not know.
+async function migrate(db) {
+  await db.runSql(`CREATE TABLE IF NOT EXISTS schema_version (
+    version INTEGER PRIMARY KEY,
+    name TEXT,
+    applied_ts INTEGER
+  )`);
+  const current = (await db.getSql(`SELECT MAX(version) AS v FROM schema_version`))?.v || 0;
+  const latest = MIGRATIONS[MIGRATIONS.length - 1].version;
+  if (current > latest) throw new Error(`database schema v${current} is newer than this release (v${latest})`);
+  for (const m of MIGRATIONS.filter(m => m.version > current)) {
+    await db.runSql('BEGIN');
+    try {
+      await m.up(db);
+      await db.runSql(`INSERT INTO schema_version(version, name, applied_ts) VALUES(?,?,?)`, [m.version, m.name, Math.floor(Date.now() / 1000)]);
+      await db.runSql('COMMIT');
+    } catch (e) {
+      await db.runSql('ROLLBACK').catch(()=>{});
+      throw new Error(`migration v${m.version} (${m.name}) failed: ${e?.message || e}`);
+    }
+  }
+  if (current < latest && current > 0) log.info(`[db] schema migrated v${current} -> v${latest}`);
+  return latest;
+}
+
+module.exports = { MIGRATIONS, migrate };
@@ -0,0 +1,509 @@
+/**
+ * storage.js — SQLite storage: every card, settings, ledger and journal query of the bot lives here.
+ * createStorage() opens the database, applies pending migrations (migrations.js) and returns the query
+ * functions; index.js never writes SQL itself. Pass path ':memory:' for a throwaway database (tests).
+ */
+
+const sqlite3 = require('sqlite3').verbose();
+const { migrate } = require('./migrations');
+const { log } = require('./logger');
+
+// all user notifications are opt-in; keys are the notify_prefs columns
+const NOTIFY_KEYS = ['card_removed', 'failures', 'digest'];
+// claim_journal columns updateJournal may set
+const JOURNAL_FIELDS = ['amount', 'tax', 'tax_rule', 'tax_status', 'tax_error', 'next_ts'];
+
+/**
+ * options.path             database file, or ':memory:'
+ * options.cardIdFor        card code -> card_id (index.js owns the keys, the storage only gets the functions)
+ * options.encryptCardCode  card code -> card_enc
+ * options.claimIntervalMs  next claim for journal entries committed without a next_ts
+ * `ready` resolves once the schema is migrated; nothing else may be called before that.
+ */
+function createStorage({ path, cardIdFor, encryptCardCode, claimIntervalMs }) {
+  const db = new sqlite3.Database(path);
+  const claimIntervalSec = Math.ceil(claimIntervalMs / 1000);
+  function runSql(sql, params = []) {
+    return new Promise((resolve, reject) => db.run(sql, params, function (err) { if (err) reject(err); else resolve(this); }));
+  }
+  function getSql(sql, params = []) {
+    return new Promise((resolve, reject) => db.get(sql, params, (err, row) => err ? reject(err) : resolve(row)));
+  }
+  function allSql(sql, params = []) {
+    return new Promise((resolve, reject) => db.all(sql, params, (err, rows) => err ? reject(err) : resolve(rows)));
+  }
+  function close() {
+    return new Promise((resolve, reject) => db.close(err => err ? reject(err) : resolve()));
+  }
+  // rejects when the database does not answer (health checks)
+  async function ping() {
+    await getSql('SELECT 1 AS ok');
+  }
+
+  ///// Cards /////
+  // shortest free prefix of the card_id (min 6 chars) — stable for the life of the card
+  async function allocateCardAlias(cardId, table = 'cards') {
+    for (let len = 6; len <= cardId.length; len++) {
+      const alias = cardId.slice(0, len).toUpperCase();
+      const taken = await getSql(`SELECT 1 FROM ${table} WHERE alias=?`, [alias]);
+      if (!taken) return alias;
+    }
+    return cardId.toUpperCase();
+  }
+  async function getCardById(cardId) {
+    return await getSql(`SELECT * FROM cards WHERE card_id=?`, [cardId]);
+  }
+  // accepts either the full card code or its alias
+  async function findCardByRef(ref) {
+    const r = String(ref || '').trim();
+    if (!r) return null;
+    return (await getCardById(cardIdFor(r))) || (await getSql(`SELECT * FROM cards WHERE alias=?`, [r.toUpperCase()]));
+  }
+  // never moves a card owned by someone else: callers get { conflict, ownerId } and must go through a link request.
+  // guildId is where the card was linked (its taxes go to that guild); linking from DMs keeps the current guild.
+  async function addOrUpdateCard(cardCode, userId, guildId = null) {
+    const cardId = cardIdFor(cardCode);
+    const existing = await getCardById(cardId);
+    if (existing) {
+      if (existing.user_id && existing.user_id !== userId) return { conflict: true, ownerId: existing.user_id, card: existing };
+      await runSql(`UPDATE cards SET user_id=?, guild_id=COALESCE(?, guild_id) WHERE card_id=?`, [userId, guildId, cardId]);
+      return { updated: true, card: await getCardById(cardId) };
+    } else {
+      const alias = await allocateCardAlias(cardId);
+      await runSql(`INSERT INTO cards(card_id, card_enc, alias, user_id, guild_id) VALUES(?,?,?,?,?)`,
+        [cardId, encryptCardCode(cardCode), alias, userId, guildId]);
+      return { created: true, card: await getCardById(cardId) };
+    }
+  }
+  async function reassignCard(cardId, userId, guildId = null) {
+    await runSql(`UPDATE cards SET user_id=?, guild_id=COALESCE(?, guild_id) WHERE card_id=?`, [userId, guildId, cardId]);
+  }
+  async function removeCard(cardRef, userId) {
+    const row = await findCardByRef(cardRef);
+    if (!row) return { ok: false, reason: 'not_found' };
+    if (row.user_id !== userId) return { ok: false, reason: 'not_owner' };
+    await runSql(`DELETE FROM cards WHERE card_id=?`, [row.card_id]);
+    return { ok: true, card: row };
+  }
+  // admin search over a guild's cards; query is an alias prefix or a full card code
+  async function searchGuildCards(guildId, { userId = null, status = null, query = null } = {}, limit, offset = 0) {
+    const where = ['guild_id=?'];
+    const params = [guildId];
+    if (userId) {
+      where.push('user_id=?');
+      params.push(userId);
+    }
+    if (status) {
+      where.push(`COALESCE(status, 'active')=?`);
+      params.push(status);
+    }
+    if (query) {
+      where.push('(alias LIKE ? OR card_id=?)');
+      params.push(`${query.toUpperCase()}%`, cardIdFor(query));
+    }
+    const rows = await allSql(`SELECT * FROM cards WHERE ${where.join(' AND ')} ORDER BY alias ASC LIMIT ? OFFSET ?`, [...params, limit, offset]);
+    const r = await getSql(`SELECT COUNT(*) AS n FROM cards WHERE ${where.join(' AND ')}`, params);
+    return { rows, total: r?.n || 0 };
+  }
+  async function listUserCards(userId) {
+    return await allSql(`SELECT * FROM cards WHERE user_id=?`, [userId]);
+  }
+  async function listAllCards() {
+    return await allSql(`SELECT * FROM cards ORDER BY rowid ASC`);
+  }
+  async function listGuildCards(guildId) {
+    return await allSql(`SELECT * FROM cards WHERE guild_id=? ORDER BY rowid ASC`, [guildId]);
+  }
+  async function countGuildCards(guildId) {
+    const r = await getSql(`SELECT COUNT(*) AS n FROM cards WHERE guild_id=?`, [guildId]);
+    return r?.n || 0;
+  }
+  // only 'active' cards are claimed; 'suspended' ones wait for their owner to reactivate them
+  async function listDueCards(nowSec) {
+    return await allSql(`SELECT * FROM cards WHERE COALESCE(status, 'active')='active' AND COALESCE(next_claim_ts, 0) <= ?
+      ORDER BY next_claim_ts ASC, rowid ASC`, [nowSec]);
+  }
+  async function countDueCards(nowSec) {
+    const r = await getSql(`SELECT COUNT(*) AS n FROM cards WHERE COALESCE(status, 'active')='active' AND COALESCE(next_claim_ts, 0) <= ?`, [nowSec]);
+    return r?.n || 0;
+  }
+  async function getGuildNextDueTs(guildId) {
+    const r = await getSql(`SELECT MIN(COALESCE(next_claim_ts, 0)) AS ts FROM cards WHERE guild_id=? AND COALESCE(status, 'active')='active'`, [guildId]);
+    return r?.ts ?? null;
+  }
+  async function getNextDueTs() {
+    const r = await getSql(`SELECT MIN(COALESCE(next_claim_ts, 0)) AS ts FROM cards WHERE COALESCE(status, 'active')='active'`);
+    return r?.ts ?? null;
+  }
+  async function setNextClaim(cardId, nextTs) {
+    await runSql(`UPDATE cards SET next_claim_ts=? WHERE card_id=?`, [nextTs, cardId]);
+  }
+  async function setNextClaimForAll(nextTs) {
+    await runSql(`UPDATE cards SET next_claim_ts=?`, [nextTs]);
+  }
+  // after a schedule change: cards held for a cron fire or a quiet window go back to their regular due
+  // time (last claim + interval); cards backing off after failures keep their wait
+  async function rescheduleGuildCards(guildId, nowSec) {
+    await runSql(`UPDATE cards SET next_claim_ts = MIN(next_claim_ts, MAX(?, COALESCE(last_claim_ts, 0) + ?))
+      WHERE guild_id=? AND COALESCE(claim_retry, 0)=0 AND next_claim_ts > ?`, [nowSec, claimIntervalSec, guildId, nowSec]);
+  }
+  async function incClaimRetry(cardId, nextTs, error = null) {
+    await runSql(`UPDATE cards SET claim_retry = claim_retry + 1, next_claim_ts=?, last_error=? WHERE card_id=?`, [nextTs, error, cardId]);
+  }
+  async function suspendCard(cardId, retries, error) {
+    await runSql(`UPDATE cards SET status='suspended', claim_retry=?, last_error=? WHERE card_id=?`, [retries, error, cardId]);
+  }
+  async function setCardStatus(cardId, status) {
+    await runSql(`UPDATE cards SET status=? WHERE card_id=?`, [status, cardId]);
+  }
+  async function reactivateCard(cardId) {
+    await runSql(`UPDATE cards SET status='active', claim_retry=0, last_error=NULL, next_claim_ts=0 WHERE card_id=?`, [cardId]);
+  }
+  async function deleteCardFromDb(cardId) {
+    await runSql(`DELETE FROM cards WHERE card_id=?`, [cardId]);
+  }
+  async function setSweepPending(cardId, amount) {
+    await runSql(`UPDATE cards SET sweep_pending=? WHERE card_id=?`, [amount, cardId]);
+  }
+  async function setTaxDebt(cardId, amount) {
+    await runSql(`UPDATE cards SET tax_debt=? WHERE card_id=?`, [amount, cardId]);
+  }
+
+  ///// Settings /////
+  // global key/value settings, and the per-guild ones (panel, tax, schedules)
+  async function saveSetting(key, value) {
+    await runSql(`INSERT INTO settings(key, value) VALUES(?,?) ON CONFLICT(key) DO UPDATE SET value=excluded.value`, [key, value]);
+  }
+  async function getSetting(key) {
+    const r = await getSql(`SELECT value FROM settings WHERE key=?`, [key]);
+    return r?.value ?? null;
+  }
+  async function deleteSetting(key) {
+    await runSql(`DELETE FROM settings WHERE key=?`, [key]);
+  }
+  async function saveGuildSetting(guildId, key, value) {
+    await runSql(`INSERT INTO guild_settings(guild_id, key, value) VALUES(?,?,?)
+      ON CONFLICT(guild_id, key) DO UPDATE SET value=excluded.value`, [guildId, key, value]);
+  }
+  async function getGuildSetting(guildId, key) {
+    if (!guildId) return null;
+    const r = await getSql(`SELECT value FROM guild_settings WHERE guild_id=? AND key=?`, [guildId, key]);
+    return r?.value ?? null;
+  }
+  async function deleteGuildSetting(guildId, key) {
+    await runSql(`DELETE FROM guild_settings WHERE guild_id=? AND key=?`, [guildId, key]);
+  }
+  async function deleteGuildSettings(guildId) {
+    await runSql(`DELETE FROM guild_settings WHERE guild_id=?`, [guildId]);
+  }
+  async function listGuildsWithSetting(key) {
+    return (await allSql(`SELECT guild_id FROM guild_settings WHERE key=?`, [key])).map(r => r.guild_id);
+  }
+  async function listGuildSettings(keys) {
+    return await allSql(`SELECT guild_id, key, value FROM guild_settings WHERE key IN (${keys.map(() => '?').join(',')})`, keys);
+  }
+
+  ///// Tax rules /////
+  async function addTaxRule(guildId, { kind, roleId = null, rate = 0, upTo = null }, createdBy) {
+    const res = await runSql(`INSERT INTO tax_rules(guild_id, kind, role_id, rate, up_to, created_by, created_ts) VALUES(?,?,?,?,?,?,?)`,
+      [guildId, kind, roleId, rate, upTo, createdBy, Math.floor(Date.now() / 1000)]);
+    return res.lastID;
+  }
+  async function listTaxRules(guildId) {
+    return await allSql(`SELECT * FROM tax_rules WHERE guild_id=? ORDER BY kind ASC, COALESCE(up_to, 1e18) ASC, id ASC`, [guildId]);
+  }
+  async function removeTaxRule(guildId, id) {
+    const res = await runSql(`DELETE FROM tax_rules WHERE guild_id=? AND id=?`, [guildId, id]);
+    return res.changes > 0;
+  }
+
+  ///// Link requests /////
+  // a user asking for a card that is already linked to someone else. Resolved by an admin
+  // (approved/rejected) or by the requester passing the transfer challenge (verified).
+  // limits (seconds / counts, 0 = off) stop a requester from cycling requests to brute-force
+  // the challenge: at most maxPerWindow requests per card per windowSec, and none for
+  // cooldownSec after one of theirs was rejected. Refusals carry retryTs.
+  async function createLinkRequest(cardId, requesterId, ownerId, guildId = null, { maxPerWindow = 0, windowSec = 0, cooldownSec = 0 } = {}) {
+    const existing = await getSql(`SELECT * FROM link_requests WHERE card_id=? AND requester_id=? AND status='pending'`, [cardId, requesterId]);
+    if (existing) return { request: existing, created: false };
+    const now = Math.floor(Date.now() / 1000);
+    if (cooldownSec > 0) {
+      const last = await getSql(`SELECT MAX(resolved_ts) AS ts FROM link_requests WHERE card_id=? AND requester_id=? AND status='rejected'`, [cardId, requesterId]);
+      if (last?.ts && last.ts + cooldownSec > now) return { request: null, created: false, reason: 'cooldown', retryTs: last.ts + cooldownSec };
+    }
+    if (maxPerWindow > 0 && windowSec > 0) {
+      const recent = await allSql(`SELECT created_ts FROM link_requests WHERE card_id=? AND requester_id=? AND created_ts > ? ORDER BY created_ts ASC`,
+        [cardId, requesterId, now - windowSec]);
+      if (recent.length >= maxPerWindow) {
+        return { request: null, created: false, reason: 'rate_limited', retryTs: recent[recent.length - maxPerWindow].created_ts + windowSec };
+      }
+    }
+    const res = await runSql(`INSERT INTO link_requests(card_id, requester_id, owner_id, created_ts, guild_id) VALUES(?,?,?,?,?)`,
+      [cardId, requesterId, ownerId, Math.floor(Date.now() / 1000), guildId]);
+    return { request: await getLinkRequest(res.lastID), created: true };
+  }
+  async function getLinkRequest(id) {
+    return await getSql(`SELECT * FROM link_requests WHERE id=?`, [id]);
+  }
+  async function listPendingLinkRequests(guildId, limit = -1, offset = 0) {
+    return await allSql(`SELECT * FROM link_requests WHERE status='pending' AND guild_id=? ORDER BY id ASC LIMIT ? OFFSET ?`, [guildId, limit, offset]);
+  }
+  async function countPendingLinkRequests(guildId) {
+    const r = await getSql(`SELECT COUNT(*) AS n FROM link_requests WHERE status='pending' AND guild_id=?`, [guildId]);
+    return r?.n || 0;
+  }
+  // claims the request's single challenge; false when one was already set (e.g. a double click)
+  async function setLinkChallenge(id, amount) {
+    const res = await runSql(`UPDATE link_requests SET challenge_amount=? WHERE id=? AND status='pending' AND challenge_amount IS NULL`, [amount, id]);
+    return res.changes > 0;
+  }
+  // frees the slot again when the challenge transfer did not go through
+  async function clearLinkChallenge(id, amount) {
+    await runSql(`UPDATE link_requests SET challenge_amount=NULL WHERE id=? AND challenge_amount=?`, [id, amount]);
+  }
+  // uses up one guess; false when none are left, so concurrent submissions cannot exceed maxAttempts
+  async function incLinkChallengeAttempts(id, maxAttempts) {
+    const res = await runSql(`UPDATE link_requests SET challenge_attempts = challenge_attempts + 1 WHERE id=? AND status='pending' AND challenge_attempts < ?`,
+      [id, maxAttempts]);
+    return res.changes > 0;
+  }
+  // returns false when the request was no longer pending (resolved concurrently)
+  async function resolveLinkRequest(id, status, resolvedBy) {
+    const res = await runSql(`UPDATE link_requests SET status=?, resolved_ts=?, resolved_by=? WHERE id=? AND status='pending'`,
+      [status, Math.floor(Date.now() / 1000), resolvedBy, id]);
+    return res.changes > 0;
+  }
+  // closes the card's other pending requests once it has changed hands; returns the closed rows
+  async function closeLinkRequestsForCard(cardId, exceptId, resolvedBy) {
+    const rows = await allSql(`SELECT * FROM link_requests WHERE card_id=? AND id<>? AND status='pending'`, [cardId, exceptId]);
+    const closed = [];
+    for (const r of rows) {
+      if (await resolveLinkRequest(r.id, 'closed', resolvedBy)) closed.push(r);
+    }
+    return closed;
+  }
+
+  ///// Claim ledger /////
+  // one row per claim attempt; tax_status: paid | failed | skipped | deferred | debt (deferred, then charged as debt) | none
+  // journalId makes the insert idempotent, so journal recovery can replay it safely
+  async function logClaim({ cardId, userId, guildId = null, amount = 0, tax = 0, taxStatus = 'none', taxRule = null, error = null, journalId = null }) {
+    try {
+      await runSql(`INSERT OR IGNORE INTO claim_log(card_id, user_id, ts, amount, tax, tax_status, error, guild_id, tax_rule, journal_id) VALUES(?,?,?,?,?,?,?,?,?,?)`,
+        [cardId, userId, Math.floor(Date.now() / 1000), amount, tax, taxStatus, error, guildId, taxRule, journalId]);
+    } catch (e) {
+      log.warn('[ledger] failed to record claim for', String(cardId).slice(0, 6).toUpperCase(), e?.message || e);
+    }
+  }
+  // hideErrors leaves out ledger rows with those errors (e.g. COOLDOWN_ACTIVE, kept for admins but noise in /history)
+  const hideErrorsSql = (col, hideErrors) => hideErrors.length ? ` AND (${col} IS NULL OR ${col} NOT IN (${hideErrors.map(() => '?').join(',')}))` : '';
+  async function listUserClaims(userId, limit, offset = 0, { hideErrors = [] } = {}) {
+    return await allSql(`SELECT l.*, c.alias FROM claim_log l LEFT JOIN cards c ON c.card_id = l.card_id
+      WHERE l.user_id=?${hideErrorsSql('l.error', hideErrors)} ORDER BY l.ts DESC, l.id DESC LIMIT ? OFFSET ?`,
+      [userId, ...hideErrors, limit, offset]);
+  }
+  async function countUserClaims(userId, { hideErrors = [] } = {}) {
+    const r = await getSql(`SELECT COUNT(*) AS n FROM claim_log WHERE user_id=?${hideErrorsSql('error', hideErrors)}`, [userId, ...hideErrors]);
+    return r?.n || 0;
+  }
+  // net = gross claimed minus the tax that was actually paid (at claim time or later as debt)
+  async function sumUserNet(userId, sinceTs = 0) {
+    const r = await getSql(`SELECT COALESCE(SUM(amount - CASE WHEN tax_status='paid' THEN tax ELSE 0 END), 0) AS net
+      FROM claim_log WHERE user_id=? AND ts>=?`, [userId, sinceTs]);
+    const d = await getSql(`SELECT COALESCE(SUM(amount), 0) AS paid FROM tax_debt_payments WHERE user_id=? AND ts>=?`, [userId, sinceTs]);
+    return (r?.net || 0) - (d?.paid || 0);
+  }
+  // net earnings per user in a guild since sinceTs, counted like sumUserNet: claimed minus tax paid at claim
+  // time and minus tax debt paid later. Users who only paid debt in the window are left out.
+  async function getGuildLeaderboard(guildId, sinceTs, limit) {
+    return await allSql(`SELECT user_id, SUM(net) AS net, SUM(claims) AS claims FROM (
+        SELECT user_id, amount - CASE WHEN tax_status='paid' THEN tax ELSE 0 END AS net, 1 AS claims
+          FROM claim_log WHERE guild_id=? AND ts >= ? AND amount > 0
+        UNION ALL
+        SELECT user_id, -amount, 0 FROM tax_debt_payments WHERE guild_id=? AND ts >= ?
+      )
+      GROUP BY user_id HAVING SUM(claims) > 0 ORDER BY net DESC LIMIT ?`, [guildId, sinceTs, guildId, sinceTs, limit]);
+  }
+  // per-user totals of successful claims in [sinceTs, untilTs), for the earnings digest
+  async function listUserEarnings(sinceTs, untilTs) {
+    return await allSql(`SELECT user_id, COUNT(DISTINCT card_id) AS cards, SUM(amount) AS claimed,
+      SUM(CASE WHEN tax_status='paid' THEN tax ELSE 0 END) AS tax
+      FROM claim_log WHERE ts >= ? AND ts < ? AND amount > 0 GROUP BY user_id`, [sinceTs, untilTs]);
+  }
+  async function listCardClaims(cardId, limit) {
+    return await allSql(`SELECT * FROM claim_log WHERE card_id=? ORDER BY ts DESC, id DESC LIMIT ?`, [cardId, limit]);
+  }
+  async function listGuildClaims(guildId, sinceTs) {
+    return await allSql(`SELECT l.*, c.alias FROM claim_log l LEFT JOIN cards c ON c.card_id = l.card_id
+      WHERE l.guild_id=? AND l.ts >= ? ORDER BY l.ts ASC, l.id ASC`, [guildId, sinceTs]);
+  }
+
+  ///// Audit log /////
+  // every admin action that changes state or exports data is recorded with who did it
+  async function logAudit(guildId, actorId, action, target = null, details = null) {
+    try {
+      await runSql(`INSERT INTO audit_log(guild_id, actor_id, action, target, details, ts) VALUES(?,?,?,?,?,?)`,
+        [guildId || null, actorId, action, target, details ? JSON.stringify(details) : null, Math.floor(Date.now() / 1000)]);
+    } catch (e) {
+      log.warn('[audit] failed to record', action, e?.message || e);
+    }
+  }
+  async function listAuditLog(guildId, limit, offset = 0) {
+    return await allSql(`SELECT * FROM audit_log WHERE guild_id=? ORDER BY ts DESC, id DESC LIMIT ? OFFSET ?`, [guildId, limit, offset]);
+  }
+  async function countAuditLog(guildId) {
+    const r = await getSql(`SELECT COUNT(*) AS n FROM audit_log WHERE guild_id=?`, [guildId]);
+    return r?.n || 0;
+  }
+
+  ///// Tax debt /////
+  // with a journalId both writes apply at most once (cards.last_journal_id guard + unique journal_id)
+  // takes an amount off the card's debt without counting it as paid (an interrupted payment nobody can confirm)
+  async function clearTaxDebt(cardId, amount, journalId = null) {
+    await runSql(`UPDATE cards SET tax_debt = MAX(0, ROUND(COALESCE(tax_debt, 0) - ?, 8)), last_journal_id = COALESCE(?, last_journal_id)
+      WHERE card_id=? AND (? IS NULL OR COALESCE(last_journal_id, 0) < ?)`, [amount, journalId, cardId, journalId, journalId]);
+  }
+  async function listTaxDebtPayments(cardId) {
+    return await allSql(`SELECT * FROM tax_debt_payments WHERE card_id=? ORDER BY id ASC`, [cardId]);
+  }
+  async function recordTaxDebtPayment(cardId, userId, amount, guildId = null, journalId = null) {
+    await clearTaxDebt(cardId, amount, journalId);
+    await runSql(`INSERT OR IGNORE INTO tax_debt_payments(card_id, user_id, ts, amount, guild_id, journal_id) VALUES(?,?,?,?,?,?)`,
+      [cardId, userId, Math.floor(Date.now() / 1000), amount, guildId, journalId]);
+  }
+  // claims whose tax was deferred (the ledger rows keep each amount), oldest first
+  async function listDeferredClaims(cardId) {
+    return await allSql(`SELECT * FROM claim_log WHERE card_id=? AND tax_status='deferred' ORDER BY id ASC`, [cardId]);
+  }
+  async function countDeferredClaims(cardId) {
+    const r = await getSql(`SELECT COUNT(*) AS n FROM claim_log WHERE card_id=? AND tax_status='deferred'`, [cardId]);
+    return r?.n || 0;
+  }
+  // a deferred claim was taxed after all: the ledger row gets its tax (status 'debt'), the amount leaves
+  // cards.tax_deferred and the tax becomes debt. The ledger guard makes a second call a no-op.
+  async function settleDeferredClaim(claim, tax, rule) {
+    const res = await runSql(`UPDATE claim_log SET tax=?, tax_rule=?, tax_status='debt' WHERE id=? AND tax_status='deferred'`,
+      [tax, rule, claim.id]);
+    if (!res.changes) return false;
+    await runSql(`UPDATE cards SET tax_deferred = MAX(0, ROUND(COALESCE(tax_deferred, 0) - ?, 8)),
+      tax_debt = ROUND(COALESCE(tax_debt, 0) + ?, 8) WHERE card_id=?`, [claim.amount, tax, claim.card_id]);
+    return true;
+  }
+  // per-user collected (claim-time tax + debt payments) vs outstanding debt, within one guild;
+  // deferred is the claimed amount not taxed yet (owner's roles were unavailable)
+  async function getTaxReport(guildId) {
+    return await allSql(`SELECT user_id,
+        COALESCE(SUM(collected), 0) AS collected,
+        COALESCE(SUM(outstanding), 0) AS outstanding,
+        COALESCE(SUM(debt_cards), 0) AS debt_cards,
+        COALESCE(SUM(deferred), 0) AS deferred
+      FROM (
+        SELECT user_id, tax AS collected, 0 AS outstanding, 0 AS debt_cards, 0 AS deferred FROM claim_log WHERE tax_status='paid' AND guild_id=?
+        UNION ALL
+        SELECT user_id, amount, 0, 0, 0 FROM tax_debt_payments WHERE guild_id=?
+        UNION ALL
+        SELECT user_id, 0, tax_debt, 1, 0 FROM cards WHERE tax_debt > 0 AND guild_id=?
+        UNION ALL
+        SELECT user_id, 0, 0, 0, tax_deferred FROM cards WHERE tax_deferred > 0 AND guild_id=?
+      )
+      GROUP BY user_id
+      ORDER BY outstanding DESC, deferred DESC, collected DESC`, [guildId, guildId, guildId, guildId]);
+  }
+
+  ///// Claim journal /////
+  async function openJournal(c, kind, step, fields = {}) {
+    const now = Math.floor(Date.now() / 1000);
+    const j = { kind, card_id: c.card_id, user_id: c.user_id, guild_id: c.guild_id || null, step, amount: 0, tax: 0,
+      tax_rule: null, tax_status: null, tax_error: null, next_ts: null, ...fields, created_ts: now, updated_ts: now };
+    const r = await runSql(`INSERT INTO claim_journal(kind, card_id, user_id, guild_id, step, amount, tax, created_ts, updated_ts) VALUES(?,?,?,?,?,?,?,?,?)`,
+      [kind, j.card_id, j.user_id, j.guild_id, step, j.amount, j.tax, now, now]);
+    j.id = r.lastID;
+    return j;
+  }
+  async function updateJournal(j, step, fields = {}) {
+    Object.assign(j, fields, { step, updated_ts: Math.floor(Date.now() / 1000) });
+    const cols = JOURNAL_FIELDS.filter(k => k in fields);
+    await runSql(`UPDATE claim_journal SET step=?, updated_ts=?${cols.map(k => `, ${k}=?`).join('')} WHERE id=?`,
+      [step, j.updated_ts, ...cols.map(k => fields[k]), j.id]);
+  }
+  // applies a claim in the state the journal recorded. The cards update is guarded by last_journal_id and
+  // the ledger insert by its unique journal_id, so replaying this after a crash changes nothing twice.
+  async function commitClaim(j) {
+    const debt = j.tax_status === 'failed' || j.tax_status === 'skipped' ? Number(j.tax || 0) : 0;
+    const deferred = j.tax_status === 'deferred' ? Number(j.amount || 0) : 0;
+    await runSql(`UPDATE cards SET last_claim_ts=?, next_claim_ts=?, claim_retry=0, last_error=NULL,
+        tax_debt = ROUND(COALESCE(tax_debt, 0) + ?, 8), tax_deferred = ROUND(COALESCE(tax_deferred, 0) + ?, 8), last_journal_id=?
+      WHERE card_id=? AND COALESCE(last_journal_id, 0) < ?`,
+      [j.created_ts, j.next_ts || j.created_ts + claimIntervalSec, debt, deferred, j.id, j.card_id, j.id]);
+    await logClaim({ cardId: j.card_id, userId: j.user_id, guildId: j.guild_id, amount: j.amount, tax: j.tax,
+      taxStatus: j.tax_status || 'none', taxRule: j.tax_rule, error: j.tax_error, journalId: j.id });
+    await updateJournal(j, 'committed');
+    return debt;
+  }
+  async function getJournal(id) {
+    return await getSql(`SELECT * FROM claim_journal WHERE id=?`, [id]);
+  }
+  // entries a crash left half-way, oldest first
+  async function listOpenJournal() {
+    return await allSql(`SELECT * FROM claim_journal WHERE step NOT IN ('committed', 'failed', 'abandoned') ORDER BY id ASC`);
+  }
+  async function pruneJournal(beforeTs) {
+    await runSql(`DELETE FROM claim_journal WHERE step IN ('committed', 'failed', 'abandoned') AND updated_ts < ?`, [beforeTs]);
+  }
+
+  ///// Notification preferences /////
+  async function getNotifyPrefs(userId) {
+    const r = await getSql(`SELECT * FROM notify_prefs WHERE user_id=?`, [userId]);
+    return Object.fromEntries(NOTIFY_KEYS.map(k => [k, !!r?.[k]]));
+  }
+  async function setNotifyPref(userId, key, enabled) {
+    if (!NOTIFY_KEYS.includes(key)) throw new Error(`unknown notification ${key}`);
+    await runSql(`INSERT INTO notify_prefs(user_id, ${key}) VALUES(?,?) ON CONFLICT(user_id) DO UPDATE SET ${key}=excluded.${key}`,
+      [userId, enabled ? 1 : 0]);
+  }
+  async function getUserLocale(userId) {
+    return (await getSql(`SELECT locale FROM notify_prefs WHERE user_id=?`, [userId]))?.locale || null;
+  }
+  async function saveUserLocale(userId, locale) {
+    await runSql(`INSERT INTO notify_prefs(user_id, locale) VALUES(?,?) ON CONFLICT(user_id) DO UPDATE SET locale=excluded.locale`,
+      [userId, locale]);
+  }
+
+  ///// Auto-sweep /////
+  async function getSweepSettings(userId) {
+    return await getSql(`SELECT * FROM sweep_settings WHERE user_id=?`, [userId]);
+  }
+  async function saveSweepSettings(userId, destCode, minAmount) {
+    await runSql(`INSERT INTO sweep_settings(user_id, dest_id, dest_enc, min_amount, updated_ts) VALUES(?,?,?,?,?)
+      ON CONFLICT(user_id) DO UPDATE SET dest_id=excluded.dest_id, dest_enc=excluded.dest_enc, min_amount=excluded.min_amount, updated_ts=excluded.updated_ts`,
+      [userId, cardIdFor(destCode), encryptCardCode(destCode), minAmount, Math.floor(Date.now() / 1000)]);
+  }
+  async function deleteSweepSettings(userId) {
+    await runSql(`DELETE FROM sweep_settings WHERE user_id=?`, [userId]);
+  }
+  async function logSweep({ cardId, userId, amount, status, error = null }) {
+    await runSql(`INSERT INTO sweep_log(card_id, user_id, ts, amount, status, error) VALUES(?,?,?,?,?,?)`,
+      [cardId, userId, Math.floor(Date.now() / 1000), amount, status, error]);
+  }
+  async function listUserSweeps(userId, limit = 5) {
+    return await allSql(`SELECT l.*, c.alias FROM sweep_log l LEFT JOIN cards c ON c.card_id = l.card_id
+      WHERE l.user_id=? ORDER BY l.ts DESC, l.id DESC LIMIT ?`, [userId, limit]);
+  }
+
+  const ready = migrate({ runSql, getSql, allSql, cardIdFor, encryptCardCode, allocateCardAlias });
+
+  return {
+    ready, close, ping, runSql, getSql, allSql,
+    allocateCardAlias, getCardById, findCardByRef, addOrUpdateCard, reassignCard, removeCard, searchGuildCards,
+    listUserCards, listAllCards, listGuildCards, countGuildCards, listDueCards, countDueCards, getGuildNextDueTs, getNextDueTs,
+    setNextClaim, setNextClaimForAll, rescheduleGuildCards, incClaimRetry, suspendCard, setCardStatus, reactivateCard, deleteCardFromDb,
+    setSweepPending, setTaxDebt, saveSetting, getSetting, deleteSetting, saveGuildSetting, getGuildSetting, deleteGuildSetting,
+    deleteGuildSettings, listGuildsWithSetting, listGuildSettings, addTaxRule, listTaxRules, removeTaxRule, createLinkRequest,
+    getLinkRequest, listPendingLinkRequests, countPendingLinkRequests, setLinkChallenge, clearLinkChallenge, incLinkChallengeAttempts, resolveLinkRequest, closeLinkRequestsForCard, logClaim,
+    listUserClaims, countUserClaims, sumUserNet, getGuildLeaderboard, listUserEarnings, listCardClaims, listGuildClaims, logAudit,
+    listAuditLog, countAuditLog, clearTaxDebt, listTaxDebtPayments, recordTaxDebtPayment, listDeferredClaims, countDeferredClaims, settleDeferredClaim, getTaxReport, openJournal, updateJournal, commitClaim,
+    getJournal, listOpenJournal, pruneJournal, getNotifyPrefs, setNotifyPref, getUserLocale, saveUserLocale, getSweepSettings, saveSweepSettings,
+    deleteSweepSettings, logSweep, listUserSweeps,
+  };
+}
+
+module.exports = { createStorage, NOTIFY_KEYS };
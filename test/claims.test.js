@@ -0,0 +1,203 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { loadBot, linkCard, nowSec, RECEIVER } = require('./helpers');
+
+let bot;
+let bank;
+
+before(async () => {
+  ({ bot, bank } = await loadBot());
+});
+after(async () => {
+  await bank.close();
+});
+
+const ledger = async (cardId) => (await bot.listCardClaims(cardId, 100)).reverse();
+
+test('a successful claim pays tax to the receiver and schedules the next claim', async () => {
+  const { code, card } = await linkCard(bot);
+  const outcome = await bot.processCardClaim(card);
+  assert.deepStrictEqual(outcome, { result: 'claimed', claimed: 10, tax: 1 });
+
+  const tax = bank.state.transfers.find(t => t.fromCard === code);
+  assert.deepStrictEqual([tax.toCard, tax.amount], [RECEIVER, 1]);
+
+  const row = await bot.getCardById(card.card_id);
+  assert.strictEqual(row.claim_retry, 0);
+  assert.ok(row.next_claim_ts >= nowSec() + 590);
+  const [entry] = await ledger(card.card_id);
+  assert.strictEqual(entry.amount, 10);
+  assert.strictEqual(entry.tax_status, 'paid');
+  assert.ok(entry.journal_id > 0);
+});
+
+test('a failed tax transfer becomes debt and is paid by the next claim', async () => {
+  const { code, card } = await linkCard(bot);
+  bank.options.cards[code] = 'pay_error';
+  await bot.processCardClaim(card);
+  let row = await bot.getCardById(card.card_id);
+  assert.strictEqual(row.tax_debt, 1);
+  assert.strictEqual((await ledger(card.card_id))[0].tax_status, 'failed');
+
+  delete bank.options.cards[code];
+  bank.state.lastClaim.delete(code); // skip the fake cooldown
+  await bot.processCardClaim(row);
+  row = await bot.getCardById(card.card_id);
+  assert.strictEqual(row.tax_debt, 0);
+  assert.strictEqual(bank.state.transfers.filter(t => t.fromCard === code).length, 2);
+  assert.strictEqual((await bot.listTaxDebtPayments(card.card_id)).length, 1);
+});
+
+test('COOLDOWN_ACTIVE follows the bank cooldown without charging tax', async () => {
+  const { code, card } = await linkCard(bot);
+  await bot.processCardClaim(card);
+  const outcome = await bot.processCardClaim(await bot.getCardById(card.card_id));
+  assert.strictEqual(outcome.result, 'cooldown');
+  assert.strictEqual(bank.state.transfers.filter(t => t.fromCard === code).length, 1);
+  const row = await bot.getCardById(card.card_id);
+  assert.strictEqual(row.claim_retry, 0);
+  assert.ok(row.next_claim_ts > nowSec() && row.next_claim_ts <= nowSec() + 61);
+  assert.deepStrictEqual((await ledger(card.card_id)).map(l => l.error), [null, 'COOLDOWN_ACTIVE']);
+});
+
+test('CARD_NOT_FOUND removes the card', async () => {
+  const { code, card } = await linkCard(bot);
+  bank.options.cards[code] = 'not_found';
+  const outcome = await bot.processCardClaim(card);
+  assert.strictEqual(outcome.result, 'removed');
+  assert.strictEqual(await bot.getCardById(card.card_id), undefined);
+  assert.strictEqual((await ledger(card.card_id))[0].error, 'CARD_NOT_FOUND');
+});
+
+test('server errors back off exponentially and suspend the card after the limit', async () => {
+  const { code, card } = await linkCard(bot);
+  bank.options.cards[code] = 'error';
+  const waits = [];
+  for (let i = 0; i < 2; i++) {
+    const before = nowSec();
+    await bot.processCardClaim(await bot.getCardById(card.card_id));
+    waits.push((await bot.getCardById(card.card_id)).next_claim_ts - before);
+  }
+  assert.ok(waits[0] >= 60 && waits[0] <= 61, `first wait ${waits[0]}`);
+  assert.ok(waits[1] >= 120 && waits[1] <= 121, `second wait ${waits[1]}`);
+
+  await bot.processCardClaim(await bot.getCardById(card.card_id));
+  const row = await bot.getCardById(card.card_id);
+  assert.strictEqual(row.status, 'suspended');
+  assert.strictEqual(row.claim_retry, 3);
+  assert.match(row.last_error, /500/);
+});
+
+test('a timeout counts as a failure', async () => {
+  const { code, card } = await linkCard(bot);
+  bank.options.cards[code] = 'timeout';
+  const outcome = await bot.processCardClaim(card);
+  assert.strictEqual(outcome.result, 'failed');
+  const row = await bot.getCardById(card.card_id);
+  assert.strictEqual(row.claim_retry, 1);
+  assert.match(row.last_error, /timeout/i);
+});
+
+test('a bank-wide 429 reschedules the card without counting a failure', async () => {
+  const { code, card } = await linkCard(bot);
+  bank.options.cards[code] = 'rate_limit';
+  const outcome = await bot.processCardClaim(card);
+  assert.strictEqual(outcome.result, 'rate_limited');
+  const row = await bot.getCardById(card.card_id);
+  assert.strictEqual(row.claim_retry, 0);
+  assert.strictEqual(row.status, 'active');
+});
+
+test('an interrupted tax transfer is never sent again on recovery', async () => {
+  const { code, card } = await linkCard(bot);
+  const j = await bot.openJournal(card, 'claim', 'taxing', { amount: 10, tax: 1 });
+  await bot.recoverClaimJournal();
+  await bot.recoverClaimJournal();
+  assert.strictEqual(bank.state.transfers.filter(t => t.fromCard === code).length, 0);
+  const entries = await ledger(card.card_id);
+  assert.strictEqual(entries.length, 1);
+  assert.strictEqual(entries[0].journal_id, j.id);
+  assert.strictEqual(entries[0].tax_status, 'unknown');
+  assert.strictEqual((await bot.getCardById(card.card_id)).tax_debt, 0);
+});
+
+test('interrupted debt payments and sweeps are marked unknown and never sent again', async () => {
+  const { code, card } = await linkCard(bot);
+  await bot.setTaxDebt(card.card_id, 3);
+  await bot.setSweepPending(card.card_id, 4);
+  const debt = await bot.openJournal(card, 'debt', 'taxing', { tax: 3 });
+  await bot.openJournal(card, 'sweep', 'sweeping', { amount: 4 });
+  await bot.recoverClaimJournal();
+  await bot.recoverClaimJournal();
+  assert.strictEqual(bank.state.transfers.filter(t => t.fromCard === code).length, 0);
+  const row = await bot.getCardById(card.card_id);
+  assert.strictEqual(row.tax_debt, 0);
+  assert.strictEqual(row.sweep_pending, 0);
+  assert.strictEqual((await bot.listTaxDebtPayments(card.card_id)).length, 0);
+  assert.strictEqual((await bot.getJournal(debt.id)).tax_status, 'unknown');
+  const sweeps = await bot.listUserSweeps(card.user_id);
+  assert.deepStrictEqual(sweeps.filter(s => s.card_id === card.card_id).map(s => s.status), ['unknown']);
+});
+
+test('a claim interrupted before its tax was resolved is deferred on recovery', async () => {
+  const { card } = await linkCard(bot);
+  await bot.openJournal(card, 'claim', 'claimed', { amount: 10 });
+  await bot.recoverClaimJournal();
+  const entries = await ledger(card.card_id);
+  assert.strictEqual(entries.length, 1);
+  assert.strictEqual(entries[0].tax_status, 'deferred');
+  const row = await bot.getCardById(card.card_id);
+  assert.strictEqual(row.tax_deferred, 10);
+  assert.strictEqual(row.tax_debt, 0);
+});
+
+test('a pass claims every due card and records its metrics', async () => {
+  await bot.setNextClaimForAll(nowSec() + 3600);
+  const cards = [await linkCard(bot, 'user2'), await linkCard(bot, 'user2'), await linkCard(bot, 'user2')];
+  await bot.runClaimsPass();
+  for (const { card } of cards) {
+    assert.ok((await bot.getCardById(card.card_id)).last_claim_ts > 0);
+  }
+  assert.strictEqual(bot.claimMetrics.lastPass.cards, 3);
+  assert.strictEqual(bot.claimMetrics.lastPass.counts.claimed, 3);
+  assert.strictEqual(bot.claimMetrics.lastPass.coins, 30);
+});
+
+test('role-based tax is deferred, not charged, when the owner\'s roles cannot be read', async () => {
+  // the test client never logs in, so fetching the member always fails
+  const ruleId = await bot.addTaxRule('guild1', { kind: 'exempt', roleId: 'role1' }, 'tester');
+  try {
+    const { code, card } = await linkCard(bot);
+    const outcome = await bot.processCardClaim(card);
+    assert.deepStrictEqual(outcome, { result: 'claimed', claimed: 10, tax: 0 });
+    assert.strictEqual(bank.state.transfers.filter(t => t.fromCard === code).length, 0);
+    const row = await bot.getCardById(card.card_id);
+    assert.deepStrictEqual([row.tax_debt, row.tax_deferred], [0, 10]);
+    const [entry] = await ledger(card.card_id);
+    assert.deepStrictEqual([entry.tax_status, entry.tax_rule], ['deferred', 'deferred:roles_unavailable']);
+
+    // past TAX_DEFER_MAX_CLAIMS (5) deferred claims the role rules are skipped and the flat tax applies
+    for (let i = 0; i < 5; i++) {
+      bank.state.lastClaim.delete(code);
+      await bot.processCardClaim(await bot.getCardById(card.card_id));
+    }
+    const statuses = (await ledger(card.card_id)).map(l => l.tax_status);
+    assert.deepStrictEqual(statuses, ['deferred', 'deferred', 'deferred', 'deferred', 'deferred', 'paid']);
+    assert.strictEqual((await bot.getCardById(card.card_id)).tax_deferred, 50);
+  } finally {
+    await bot.removeTaxRule('guild1', ruleId);
+  }
+});
+
+test('a deferred claim keeps its estimated tax on the card when sweeping', async () => {
+  const ruleId = await bot.addTaxRule('guild1', { kind: 'exempt', roleId: 'role1' }, 'tester');
+  try {
+    await bot.saveSweepSettings('sweeper', 'sweepdest001', 0);
+    const { code, card } = await linkCard(bot, 'sweeper');
+    await bot.processCardClaim(card);
+    const sweeps = bank.state.transfers.filter(t => t.fromCard === code);
+    assert.deepStrictEqual(sweeps.map(t => [t.toCard, t.amount]), [['sweepdest001', 9]]);
+  } finally {
+    await bot.removeTaxRule('guild1', ruleId);
+  }
+});
@@ -0,0 +1,34 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { loadBot, linkCard } = require('./helpers');
+
+let bot;
+let bank;
+
+before(async () => {
+  ({ bot, bank } = await loadBot({ DRY_RUN: '1' }));
+});
+after(async () => {
+  await bank.close();
+});
+
+test('DRY_RUN claims for real but only logs the tax transfer', async () => {
+  const { code, card } = await linkCard(bot);
+  const outcome = await bot.processCardClaim(card);
+  assert.strictEqual(outcome.claimed, 10);
+  assert.strictEqual(bank.state.claims.filter(c => c.cardCode === code).length, 1);
+  assert.strictEqual(bank.state.transfers.length, 0);
+
+  const [entry] = await bot.listCardClaims(card.card_id, 1);
+  assert.strictEqual(entry.tax, 1);
+  assert.strictEqual(entry.tax_status, 'dry_run');
+  assert.strictEqual((await bot.getCardById(card.card_id)).tax_debt, 0);
+});
+
+test('DRY_RUN leaves existing tax debt untouched', async () => {
+  const { card } = await linkCard(bot);
+  await bot.setTaxDebt(card.card_id, 2);
+  await bot.processCardClaim(await bot.getCardById(card.card_id));
+  assert.strictEqual(bank.state.transfers.length, 0);
+  assert.strictEqual((await bot.getCardById(card.card_id)).tax_debt, 2);
+});
@@ -0,0 +1,45 @@
+// boots index.js against an in-memory database and a fake bank (see fakebank.js).
+// index.js reads its config at load time, so each test file gets its own process and calls this once.
+const { createFakeBank } = require('../fakebank');
+
+const RECEIVER = 'receiver0001';
+
+async function loadBot(env = {}) {
+  const bank = createFakeBank({ claimMin: 10, claimMax: 10, cooldownMs: 60 * 1000, retryAfterSec: 0 });
+  const url = await bank.listen(0);
+  Object.assign(process.env, {
+    DISCORD_TOKEN: 'test-token',
+    CARD_ENCRYPTION_KEY: 'test-key',
+    DB_PATH: ':memory:',
+    API_BASE: url,
+    TAX_PERCENT: '0.1',
+    RECEIVER_CARD: RECEIVER,
+    CLAIM_INTERVAL_MS: String(10 * 60 * 1000),
+    CLAIM_RETRY_DELAY_MS: String(60 * 1000),
+    CLAIM_CONCURRENCY: '2',
+    API_RATE_PER_SEC: '0',
+    API_TIMEOUT_MS: '300',
+    API_RATE_LIMIT_BACKOFF_MS: '20',
+    SUSPEND_AFTER_FAILURES: '3',
+    SUSPEND_AFTER_CLIENT_ERRORS: '2',
+    SIMULATE: '',
+    DRY_RUN: '',
+    ...env,
+  });
+  const bot = require('../index.js');
+  await bot.dbReady;
+  return { bot, bank };
+}
+
+let seq = 0;
+// links a fresh card and returns its row
+async function linkCard(bot, userId = 'user1') {
+  seq++;
+  const code = `card${String(seq).padStart(8, '0')}`;
+  const res = await bot.addOrUpdateCard(code, userId, 'guild1');
+  return { code, card: res.card };
+}
+
+const nowSec = () => Math.floor(Date.now() / 1000);
+
+module.exports = { loadBot, linkCard, nowSec, RECEIVER };
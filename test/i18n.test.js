@@ -0,0 +1,40 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { SlashCommandBuilder } = require('discord.js');
+const { LOCALES, resolveLocale, t, localizeCommand } = require('../i18n');
+
+const placeholders = (msg) => [...new Set(msg.match(/\{\w+\}/g) || [])].sort();
+
+test('Discord locales resolve by exact code, then by language, then to the fallback', () => {
+  assert.strictEqual(resolveLocale('pt-BR'), 'pt-BR');
+  assert.strictEqual(resolveLocale('pt-PT'), 'pt-BR');
+  assert.strictEqual(resolveLocale('en-GB'), 'en-US');
+  assert.strictEqual(resolveLocale('fr'), 'en-US');
+  assert.strictEqual(resolveLocale(undefined, 'pt-BR'), 'pt-BR');
+});
+
+test('messages fill placeholders and fall back to en-US, then to the key', () => {
+  assert.strictEqual(t('pt-BR', 'linkrequests.approved', { id: 7 }), 'Pedido #7 aprovado.');
+  assert.strictEqual(t('de', 'linkrequests.approved', { id: 7 }), 'Request #7 approved.');
+  assert.strictEqual(t('pt-BR', 'no.such.key'), 'no.such.key');
+});
+
+test('every catalog has the same keys and placeholders as en-US', () => {
+  const base = LOCALES['en-US'];
+  for (const [locale, catalog] of Object.entries(LOCALES)) {
+    assert.deepStrictEqual(Object.keys(catalog).sort(), Object.keys(base).sort(), locale);
+    for (const key of Object.keys(base)) assert.deepStrictEqual(placeholders(catalog[key]), placeholders(base[key]), `${locale} ${key}`);
+  }
+});
+
+test('slash commands get localized names, descriptions and choices', () => {
+  const json = localizeCommand(new SlashCommandBuilder().setName('cardadmin')
+    .addSubcommand(s => s.setName('search')
+      .addStringOption(o => o.setName('status').addChoices({ name: 'active', value: 'active' })))).toJSON();
+  assert.strictEqual(json.description, LOCALES['en-US']['cmd.cardadmin']);
+  assert.strictEqual(json.description_localizations['pt-BR'], LOCALES['pt-BR']['cmd.cardadmin']);
+  assert.strictEqual(json.name_localizations['pt-BR'], 'admincards');
+  const status = json.options[0].options[0];
+  assert.strictEqual(status.name, 'status');
+  assert.deepStrictEqual(status.choices[0].name_localizations, { 'pt-BR': 'ativo' });
+});
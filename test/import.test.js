@@ -0,0 +1,37 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { loadBot } = require('./helpers');
+
+let bot;
+let bank;
+
+before(async () => {
+  ({ bot, bank } = await loadBot());
+});
+after(async () => {
+  await bank.close();
+});
+
+test('parses plain lists and CSV with a header, skipping blanks and comments', () => {
+  const entries = bot.parseCardImport('card,alias\r\n# mine\r\naaaaaaaaaaa1,FOO\r\n\r\n"bbbbbbbbbbb2";x\r\nnot-a-card\r\n');
+  assert.deepStrictEqual(entries, [
+    { line: 3, code: 'aaaaaaaaaaa1' },
+    { line: 5, code: 'bbbbbbbbbbb2' },
+    { line: 6, code: 'not-a-card' },
+  ]);
+});
+
+test('reports created, claimed, already yours, owned by someone else, invalid and duplicate lines', async () => {
+  await bot.addOrUpdateCard('cccccccccc01', 'importer', 'guild1');
+  await bot.addOrUpdateCard('cccccccccc02', 'someone', 'guild1');
+  const { card: ownerless } = await bot.addOrUpdateCard('cccccccccc04', 'gone', 'guild1');
+  await bot.reassignCard(ownerless.card_id, null);
+  const entries = bot.parseCardImport(['cccccccccc01', 'cccccccccc02', 'cccccccccc03', 'cccccccccc03', 'xyz', 'cccccccccc04'].join('\n'));
+  const results = await bot.importCards(entries, 'importer', 'guild1');
+  assert.deepStrictEqual(results.map(r => r.result), ['already_yours', 'owned_by_other', 'created', 'duplicate', 'invalid', 'claimed']);
+
+  const other = await bot.getCardById(results[1].card.card_id);
+  assert.strictEqual(other.user_id, 'someone');
+  const mine = await bot.listUserCards('importer');
+  assert.strictEqual(mine.length, 3);
+});
@@ -0,0 +1,64 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { loadBot, linkCard, nowSec } = require('./helpers');
+const { createLogger } = require('../logger');
+
+let bot;
+let bank;
+
+before(async () => {
+  ({ bot, bank } = await loadBot());
+});
+after(async () => {
+  await bank.close();
+});
+
+test('a pass shows up in /metrics by result, error code, coins and tax', async () => {
+  await bot.setNextClaimForAll(nowSec() + 3600);
+  await linkCard(bot);
+  await linkCard(bot);
+  const { code } = await linkCard(bot);
+  bank.options.cards[code] = 'error';
+  await bot.runClaimsPass();
+
+  const text = await bot.metrics.render();
+  assert.match(text, /^autoclaim_claims_total\{result="claimed"\} 2$/m);
+  assert.match(text, /^autoclaim_claims_total\{result="failed"\} 1$/m);
+  assert.match(text, /^autoclaim_claim_errors_total\{code="INTERNAL_ERROR"\} 1$/m);
+  assert.match(text, /^autoclaim_coins_claimed_total 20$/m);
+  assert.match(text, /^autoclaim_tax_coins_total\{status="paid"\} 2$/m);
+  assert.match(text, /^autoclaim_pass_duration_seconds_count 1$/m);
+  assert.match(text, /^autoclaim_queue_length 0$/m);
+  assert.match(text, /^# TYPE autoclaim_claims_total counter$/m);
+});
+
+test('health reports the database and the last pass, and is degraded without Discord', async () => {
+  const health = await bot.getHealth();
+  assert.strictEqual(health.status, 'degraded');
+  assert.strictEqual(health.discord.ready, false);
+  assert.deepStrictEqual(health.db, { ok: true });
+  assert.ok(health.claims.secondsSinceLastTick >= 0);
+  assert.ok(health.claims.secondsSinceLastPass >= 0);
+
+  // a tick with nothing due still counts as the scheduler being alive
+  const prevTick = bot.claimMetrics.lastTickAt;
+  await bot.setNextClaimForAll(nowSec() + 3600);
+  await new Promise(r => setTimeout(r, 5));
+  await bot.runClaimsPass();
+  assert.ok(bot.claimMetrics.lastTickAt > prevTick);
+  assert.match(await bot.metrics.render(), /^autoclaim_cards_due 0$/m);
+});
+
+test('JSON logs carry level and scope, and lines below LOG_LEVEL are dropped', () => {
+  const lines = [];
+  const stream = { write: (s) => lines.push(s) };
+  const log = createLogger({ level: 'info', format: 'json', stdout: stream, stderr: stream });
+  log.debug('[claims] hidden');
+  log.warn('[claims] tax payment FAILED for card X', 'INTERNAL_ERROR');
+  log.error('boom', new Error('bad'));
+  assert.strictEqual(lines.length, 2);
+  const warn = JSON.parse(lines[0]);
+  assert.deepStrictEqual([warn.level, warn.scope, warn.msg], ['warn', 'claims', 'tax payment FAILED for card X INTERNAL_ERROR']);
+  const err = JSON.parse(lines[1]);
+  assert.deepStrictEqual([err.level, err.msg, err.error], ['error', 'boom', 'bad']);
+});
@@ -0,0 +1,80 @@
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const { loadBot, linkCard, nowSec } = require('./helpers');
+
+let bot;
+let bank;
+
+before(async () => {
+  ({ bot, bank } = await loadBot());
+});
+after(async () => {
+  await bank.close();
+});
+beforeEach(async () => {
+  // only the cards a test links are due
+  await bot.setNextClaimForAll(nowSec() + 3600);
+  await bot.deleteGuildSettings('guild1');
+  await bot.deleteSetting('maintenance');
+});
+
+const claimed = async (card) => (await bot.getCardById(card.card_id)).last_claim_ts > 0;
+
+test('paused cards are skipped, even by forced passes', async () => {
+  const { card } = await linkCard(bot);
+  await bot.setCardStatus(card.card_id, 'paused');
+  await bot.runClaimsPass();
+  const res = await bot.runClaimsPass({ force: true, cardId: card.card_id });
+  assert.strictEqual(res.processed, 0);
+  assert.strictEqual(await claimed(card), false);
+});
+
+test('a paused guild and maintenance mode stop claims', async () => {
+  const { card } = await linkCard(bot);
+  await bot.saveGuildSetting('guild1', 'claims_paused', '1');
+  await bot.runClaimsPass();
+  assert.strictEqual(await claimed(card), false);
+
+  await bot.deleteGuildSetting('guild1', 'claims_paused');
+  await bot.saveSetting('maintenance', '1');
+  assert.deepStrictEqual(await bot.runClaimsPass({ force: true }), { maintenance: true });
+  assert.strictEqual(await claimed(card), false);
+
+  await bot.deleteSetting('maintenance');
+  await bot.runClaimsPass();
+  assert.strictEqual(await claimed(card), true);
+});
+
+test('guilds with a cron only claim when it fires', async () => {
+  const { card } = await linkCard(bot);
+  await bot.saveGuildSetting('guild1', 'claim_cron', '0 0 1 1 *');
+  await bot.runClaimsPass();
+  assert.strictEqual(await claimed(card), false);
+});
+
+test('quiet windows block claims and may cross midnight', async () => {
+  const at = (h, m) => new Date(Date.UTC(2024, 0, 1, h, m));
+  assert.strictEqual(bot.inQuietWindow(['23:00-07:00'], 'UTC', at(2, 0)), true);
+  assert.strictEqual(bot.inQuietWindow(['23:00-07:00'], 'UTC', at(12, 0)), false);
+  assert.strictEqual(bot.inQuietWindow(['09:00-10:30'], 'UTC', at(10, 29)), true);
+
+  const { card } = await linkCard(bot);
+  await bot.saveGuildSetting('guild1', 'quiet_windows', JSON.stringify(['23:00-07:00']));
+  await bot.saveGuildSetting('guild1', 'schedule_tz', 'UTC');
+  await bot.runClaimsPass({ now: at(23, 30) });
+  assert.strictEqual(await claimed(card), false);
+  // held until the window ends the next morning instead of being re-read every tick
+  const end = Date.UTC(2024, 0, 2, 7, 0) / 1000;
+  assert.strictEqual((await bot.getCardById(card.card_id)).next_claim_ts, end);
+  await bot.runClaimsPass({ now: new Date(end * 1000) });
+  assert.strictEqual(await claimed(card), true);
+});
+
+test('/forcelaim can target one user', async () => {
+  const a = await linkCard(bot, 'alice');
+  const b = await linkCard(bot, 'bob');
+  const res = await bot.runClaimsPass({ force: true, guildId: 'guild1', userId: 'alice' });
+  assert.strictEqual(res.processed, 1);
+  assert.strictEqual(await claimed(a.card), true);
+  assert.strictEqual(await claimed(b.card), false);
+});
@@ -0,0 +1,162 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const sqlite3 = require('sqlite3');
+const { createStorage } = require('../storage');
+const { MIGRATIONS } = require('../migrations');
+
+const codec = {
+  cardIdFor: (code) => crypto.createHash('sha256').update(String(code)).digest('hex'),
+  encryptCardCode: (code) => `enc:${code}`,
+  claimIntervalMs: 10 * 60 * 1000,
+};
+const latest = MIGRATIONS[MIGRATIONS.length - 1].version;
+
+// runs raw statements against a database file before the storage opens it
+function prepareDb(file, statements) {
+  return new Promise((resolve, reject) => {
+    const db = new sqlite3.Database(file);
+    db.exec(statements.join(';\n'), (err) => db.close(() => err ? reject(err) : resolve()));
+  });
+}
+const tmpDb = () => path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'cards-')), 'cards.db');
+
+test('a fresh database gets every migration once', async () => {
+  const storage = createStorage({ path: ':memory:', ...codec });
+  assert.strictEqual(await storage.ready, latest);
+  const versions = await storage.allSql(`SELECT version FROM schema_version ORDER BY version`);
+  assert.deepStrictEqual(versions.map(v => v.version), MIGRATIONS.map(m => m.version));
+
+  const { card } = await storage.addOrUpdateCard('aaaaaaaaaaa1', 'user1', 'guild1');
+  assert.strictEqual(card.status, 'active');
+  assert.strictEqual((await storage.listGuildCards('guild1')).length, 1);
+  await storage.close();
+});
+
+test('a plaintext database from before versioning is encrypted and versioned', async () => {
+  const file = tmpDb();
+  await prepareDb(file, [
+    `CREATE TABLE cards (card_code TEXT PRIMARY KEY, user_id TEXT, last_claim_ts INTEGER DEFAULT 0, claim_retry INTEGER DEFAULT 0)`,
+    `CREATE TABLE settings (key TEXT PRIMARY KEY, value TEXT)`,
+    `INSERT INTO cards(card_code, user_id, last_claim_ts) VALUES('bbbbbbbbbbb2', 'user2', 123)`,
+    `INSERT INTO settings(key, value) VALUES('panel_channel', '42')`,
+  ]);
+  const storage = createStorage({ path: file, ...codec });
+  assert.strictEqual(await storage.ready, latest);
+  const card = await storage.getCardById(codec.cardIdFor('bbbbbbbbbbb2'));
+  assert.strictEqual(card.card_enc, 'enc:bbbbbbbbbbb2');
+  assert.strictEqual(card.last_claim_ts, 123);
+  assert.strictEqual(card.status, 'active');
+  assert.strictEqual(await storage.getSetting('panel_channel'), '42');
+  await storage.close();
+
+  // reopening applies nothing new
+  const again = createStorage({ path: file, ...codec });
+  await again.ready;
+  assert.strictEqual((await again.allSql(`SELECT * FROM schema_version`)).length, MIGRATIONS.length);
+  await again.close();
+});
+
+test('a database from a newer release is refused', async () => {
+  const file = tmpDb();
+  await prepareDb(file, [
+    `CREATE TABLE schema_version (version INTEGER PRIMARY KEY, name TEXT, applied_ts INTEGER)`,
+    `INSERT INTO schema_version(version, name) VALUES(${latest + 1}, 'future')`,
+  ]);
+  const storage = createStorage({ path: file, ...codec });
+  await assert.rejects(storage.ready, /newer than this release/);
+  await storage.close();
+});
+
+test('link requests are rate limited and send a single challenge', async () => {
+  const storage = createStorage({ path: ':memory:', ...codec });
+  await storage.ready;
+  const limits = { maxPerWindow: 2, windowSec: 3600, cooldownSec: 0 };
+  const first = await storage.createLinkRequest('card1', 'user2', 'user1', 'guild1', limits);
+  assert.strictEqual(first.created, true);
+  assert.strictEqual((await storage.createLinkRequest('card1', 'user2', 'user1', 'guild1', limits)).request.id, first.request.id);
+
+  // one challenge per request, and no more guesses than allowed
+  assert.strictEqual(await storage.setLinkChallenge(first.request.id, 0.000005), true);
+  assert.strictEqual(await storage.setLinkChallenge(first.request.id, 0.000007), false);
+  assert.strictEqual(await storage.incLinkChallengeAttempts(first.request.id, 1), true);
+  assert.strictEqual(await storage.incLinkChallengeAttempts(first.request.id, 1), false);
+
+  await storage.resolveLinkRequest(first.request.id, 'rejected', 'challenge');
+  const cooled = await storage.createLinkRequest('card1', 'user2', 'user1', 'guild1', { ...limits, cooldownSec: 600 });
+  assert.strictEqual(cooled.reason, 'cooldown');
+
+  const second = await storage.createLinkRequest('card1', 'user2', 'user1', 'guild1', limits);
+  await storage.resolveLinkRequest(second.request.id, 'rejected', 'user1');
+  const limited = await storage.createLinkRequest('card1', 'user2', 'user1', 'guild1', limits);
+  assert.strictEqual(limited.reason, 'rate_limited');
+  assert.strictEqual(limited.retryTs, first.request.created_ts + 3600);
+
+  // resolving twice is a no-op; moving the card closes everyone else's requests
+  const other = await storage.createLinkRequest('card1', 'user3', 'user1', 'guild1');
+  const winner = await storage.createLinkRequest('card1', 'user4', 'user1', 'guild1');
+  const pending = await storage.listPendingLinkRequests('guild1');
+  assert.strictEqual(await storage.countPendingLinkRequests('guild1'), pending.length);
+  assert.deepStrictEqual((await storage.listPendingLinkRequests('guild1', 1, 1)).map(r => r.id), [pending[1].id]);
+  assert.strictEqual(await storage.resolveLinkRequest(winner.request.id, 'verified', 'user4'), true);
+  assert.strictEqual(await storage.resolveLinkRequest(winner.request.id, 'approved', 'admin'), false);
+  const closed = await storage.closeLinkRequestsForCard('card1', winner.request.id, `request:${winner.request.id}`);
+  assert.deepStrictEqual(closed.map(r => r.id), [other.request.id]);
+  assert.strictEqual((await storage.getLinkRequest(other.request.id)).status, 'closed');
+  await storage.close();
+});
+
+test('deferred claims are settled one at a time into tax debt', async () => {
+  const storage = createStorage({ path: ':memory:', ...codec });
+  await storage.ready;
+  const { card } = await storage.addOrUpdateCard('ddddddddddd1', 'user1', 'guild1');
+  for (const amount of [10, 30]) {
+    const j = await storage.openJournal(card, 'claim', 'claiming');
+    await storage.updateJournal(j, 'claimed', { amount, tax: 0, tax_rule: 'deferred:roles_unavailable' });
+    await storage.updateJournal(j, 'taxed', { tax_status: 'deferred' });
+    await storage.commitClaim(j);
+  }
+  assert.strictEqual((await storage.getCardById(card.card_id)).tax_deferred, 40);
+  assert.strictEqual((await storage.getTaxReport('guild1'))[0].deferred, 40);
+
+  const [first, second] = await storage.listDeferredClaims(card.card_id);
+  assert.deepStrictEqual([first.amount, second.amount], [10, 30]);
+  assert.strictEqual(await storage.settleDeferredClaim(first, 1, 'flat@10%'), true);
+  assert.strictEqual(await storage.settleDeferredClaim(first, 1, 'flat@10%'), false);
+  const row = await storage.getCardById(card.card_id);
+  assert.deepStrictEqual([row.tax_deferred, row.tax_debt], [30, 1]);
+  assert.strictEqual((await storage.listDeferredClaims(card.card_id)).length, 1);
+  await storage.close();
+});
+
+test('claim history can leave out rows by error', async () => {
+  const storage = createStorage({ path: ':memory:', ...codec });
+  await storage.ready;
+  const { card } = await storage.addOrUpdateCard('eeeeeeeeeee1', 'user1', 'guild1');
+  await storage.logClaim({ cardId: card.card_id, userId: 'user1', guildId: 'guild1', amount: 5 });
+  await storage.logClaim({ cardId: card.card_id, userId: 'user1', guildId: 'guild1', error: 'COOLDOWN_ACTIVE' });
+  await storage.logClaim({ cardId: card.card_id, userId: 'user1', guildId: 'guild1', error: 'INTERRUPTED' });
+  const filter = { hideErrors: ['COOLDOWN_ACTIVE'] };
+  assert.strictEqual(await storage.countUserClaims('user1'), 3);
+  assert.strictEqual(await storage.countUserClaims('user1', filter), 2);
+  const rows = await storage.listUserClaims('user1', 10, 0, filter);
+  assert.deepStrictEqual(rows.map(r => r.error).sort(), ['INTERRUPTED', null].sort());
+  await storage.close();
+});
+
+test('the leaderboard nets out tax debt payments like sumUserNet', async () => {
+  const storage = createStorage({ path: ':memory:', ...codec });
+  await storage.ready;
+  const { card } = await storage.addOrUpdateCard('fffffffffff1', 'user1', 'guild1');
+  await storage.logClaim({ cardId: card.card_id, userId: 'user1', guildId: 'guild1', amount: 10, tax: 1, taxStatus: 'paid' });
+  await storage.logClaim({ cardId: card.card_id, userId: 'user1', guildId: 'guild1', amount: 10, tax: 1, taxStatus: 'failed' });
+  await storage.recordTaxDebtPayment(card.card_id, 'user1', 1, 'guild1');
+  await storage.recordTaxDebtPayment(card.card_id, 'user2', 3, 'guild1');
+  const board = await storage.getGuildLeaderboard('guild1', 0, 10);
+  assert.deepStrictEqual(board, [{ user_id: 'user1', net: 18, claims: 2 }]);
+  assert.strictEqual(await storage.sumUserNet('user1'), 18);
+  await storage.close();
+});